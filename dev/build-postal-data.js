@@ -0,0 +1,111 @@
+/**
+ * Postal Code Data Builder
+ * Builds data/postal-tochigi.json (used by js/form-validation.js for address autofill)
+ * from Japan Post's postal code file
+ *
+ * Usage:
+ *   node dev/build-postal-data.js KEN_ALL.CSV
+ *   node dev/build-postal-data.js postal.json
+ *
+ *   KEN_ALL.CSV  "読み仮名データの促音・拗音を小書きで表記するもの" from
+ *                https://www.post.japanpost.jp/zipcode/download.html (Shift_JIS)
+ *   postal.json  the same data converted by the jp-postal npm package (`npm pack jp-postal`),
+ *                for machines that cannot reach japanpost.jp
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const PREFECTURE = '栃木県';
+const OUTPUT = path.resolve(__dirname, '..', 'data', 'postal-tochigi.json');
+
+// Columns in KEN_ALL.CSV
+const COLUMN = {
+  POSTAL_CODE: 2,
+  PREFECTURE: 6,
+  CITY: 7,
+  TOWN: 8
+};
+
+/**
+ * Town name without the notes Japan Post adds to it
+ * "以下に掲載がない場合" -> "", "三島（１丁目）" -> "三島"
+ */
+function cleanTown(town) {
+  if (town === '以下に掲載がない場合' || town.endsWith('の次に番地がくる場合') || town.endsWith('一円')) {
+    return '';
+  }
+  return town.replace(/（.*$/, '');
+}
+
+// jp-postal joins the city and the town: "那須塩原市五軒町", "芳賀郡市貝町市塙"
+const CITY_PATTERN = /^(.+?郡.+?[町村]|.+?市)(.*)$/;
+
+/**
+ * Codes from KEN_ALL.CSV
+ * @returns {Object<string, string[]>}
+ */
+function readKenAll(file) {
+  const text = new TextDecoder('shift_jis').decode(fs.readFileSync(file));
+  const codes = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line) return;
+
+    const columns = line.split(',').map(value => value.replace(/^"|"$/g, ''));
+    if (columns[COLUMN.PREFECTURE] !== PREFECTURE) return;
+
+    // A code spanning several rows keeps its first town
+    const code = columns[COLUMN.POSTAL_CODE];
+    if (!codes[code]) {
+      codes[code] = [columns[COLUMN.PREFECTURE], columns[COLUMN.CITY], cleanTown(columns[COLUMN.TOWN])];
+    }
+  });
+
+  return codes;
+}
+
+/**
+ * Codes from jp-postal's postal.json: { "3292753": { "栃木県": ["那須塩原市五軒町"] } }
+ * @returns {Object<string, string[]>}
+ */
+function readJpPostal(file) {
+  const postal = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const codes = {};
+
+  Object.keys(postal).forEach(code => {
+    const regions = postal[code][PREFECTURE];
+    if (!regions) return;
+
+    // A code with several regions keeps its first town
+    const match = CITY_PATTERN.exec(regions[0]);
+    if (!match) {
+      throw new Error(`Cannot tell the city from the town in "${regions[0]}" (${code})`);
+    }
+    codes[code] = [PREFECTURE, match[1], cleanTown(match[2])];
+  });
+
+  return codes;
+}
+
+const file = process.argv[2];
+if (!file) {
+  console.error('Usage: node dev/build-postal-data.js KEN_ALL.CSV|postal.json');
+  process.exit(1);
+}
+
+const isJpPostal = path.extname(file).toLowerCase() === '.json';
+const codes = isJpPostal ? readJpPostal(file) : readKenAll(file);
+
+const data = {
+  source: isJpPostal
+    ? '日本郵便 郵便番号データ（KEN_ALL.CSV、jp-postal による変換）'
+    : '日本郵便 郵便番号データ（KEN_ALL.CSV）',
+  prefecture: PREFECTURE,
+  codes
+};
+
+fs.writeFileSync(OUTPUT, `${JSON.stringify(data)}\n`);
+console.log(`Wrote ${Object.keys(codes).length} postal codes to ${path.relative(process.cwd(), OUTPUT)}`);
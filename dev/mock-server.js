@@ -0,0 +1,121 @@
+/**
+ * Local Mock Server
+ * Serves the site and fakes the form endpoints for local testing
+ *
+ * Usage:
+ *   node dev/mock-server.js [--port 8080] [--fail-rate 0.5] [--delay 800]
+ *
+ *   --fail-rate  share of POST requests answered with 503 (exercises the retry logic)
+ *   --delay      milliseconds to wait before answering a POST
+ *
+ * Received payloads are printed to the console.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Read a command line option
+ */
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? Number(process.argv[index + 1]) : fallback;
+}
+
+const PORT = option('port', 8080);
+const FAIL_RATE = option('fail-rate', 0);
+const DELAY = option('delay', 300);
+
+/**
+ * Serve a file from the repository
+ */
+function serveStatic(request, response) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+  } catch (error) {
+    // Malformed escape, e.g. /%E3
+    response.writeHead(400);
+    response.end('Bad request');
+    return;
+  }
+
+  const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+  // Only files inside the repository (not ../ nor a sibling such as /root/tree-other)
+  const relative = path.relative(ROOT, filePath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    response.writeHead(403);
+    response.end();
+    return;
+  }
+
+  fs.readFile(filePath, (error, content) => {
+    if (error) {
+      response.writeHead(404);
+      response.end('Not found');
+      return;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+    });
+    response.end(content);
+  });
+}
+
+/**
+ * Accept a POST to /api/*
+ */
+function handleApi(request, response) {
+  let body = '';
+
+  request.on('data', chunk => {
+    body += chunk;
+  });
+
+  request.on('end', () => {
+    setTimeout(() => {
+      if (Math.random() < FAIL_RATE) {
+        console.log(`[${request.url}] 503 (simulated failure)`);
+        response.writeHead(503, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify({ ok: false }));
+        return;
+      }
+
+      console.log(`[${request.url}]`, body);
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({ ok: true }));
+    }, DELAY);
+  });
+}
+
+http.createServer((request, response) => {
+  if (request.method === 'POST' && request.url.startsWith('/api/')) {
+    handleApi(request, response);
+  } else if (request.method === 'GET' || request.method === 'HEAD') {
+    serveStatic(request, response);
+  } else {
+    response.writeHead(405);
+    response.end();
+  }
+}).listen(PORT, () => {
+  console.log(`Mock server running at http://localhost:${PORT}/ (fail rate ${FAIL_RATE}, delay ${DELAY}ms)`);
+});
@@ -0,0 +1,322 @@
+/**
+ * Trial Booking Form
+ * Sends 体験予約 requests as JSON, retries with backoff and queues them while offline
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    DEFAULT_ENDPOINT: '/api/booking',
+    QUEUE_KEY: 'nasu:booking-queue',
+    MAX_ATTEMPTS: 4,              // 1 try + 3 retries
+    BASE_DELAY: 1000,             // backoff: 1s, 2s, 4s (+ jitter)
+    REQUEST_TIMEOUT: 10000
+  };
+
+  // Status messages (keys in js/messages.js)
+  const MESSAGES = {
+    pending: 'booking.pending',
+    success: 'booking.success',
+    queued: 'booking.queued',
+    queuedSent: 'booking.queuedSent',
+    failure: 'booking.failure'
+  };
+
+  // Validation schema (js/form-validation.js), by field name
+  const SCHEMA = {
+    name: { required: true, normalize: ['width', 'trim'] },
+    furigana: { required: true, normalize: ['katakana'], rules: ['katakana'] },
+    phone: { required: true, normalize: ['phone'], rules: ['phone'] },
+    postalCode: { normalize: ['postalCode'], rules: ['postalCode'], autofill: 'address' },
+    address: { normalize: ['width', 'trim'] },
+    preferredDate1: { required: true },
+    preferredDate2: {},
+    concern: { normalize: ['trim'] }
+  };
+
+  /**
+   * Error for responses that should not be retried (4xx)
+   */
+  class PermanentError extends Error {
+    constructor(message) {
+      super(message);
+      this.name = 'PermanentError';
+    }
+  }
+
+  // Shared helpers (js/tracking.js, js/error-reporter.js)
+  const { track } = window.NasuSite;
+  const reportError = window.NasuSite.reportError('booking-form');
+
+  /**
+   * Wait for the given time
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Generate an id so the server can ignore duplicates from retries
+   * @returns {string}
+   */
+  function createRequestId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Collect the form fields into a plain object
+   * @param {HTMLFormElement} form
+   * @returns {Object}
+   */
+  function serializeForm(form) {
+    const data = {};
+
+    new FormData(form).forEach((value, key) => {
+      data[key] = typeof value === 'string' ? value.trim() : value;
+    });
+
+    return data;
+  }
+
+  /**
+   * POST a booking once
+   * @param {string} endpoint
+   * @param {Object} booking
+   * @returns {Promise<Object>}
+   */
+  function postBooking(endpoint, booking) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), CONFIG.REQUEST_TIMEOUT) : null;
+
+    return fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': booking.id
+      },
+      body: JSON.stringify(booking),
+      signal: controller ? controller.signal : undefined
+    }).then(response => {
+      if (response.ok) {
+        return response;
+      }
+      // Client errors will not get better by retrying (except rate limiting)
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        throw new PermanentError(`Booking rejected: HTTP ${response.status}`);
+      }
+      throw new Error(`Booking failed: HTTP ${response.status}`);
+    }).finally(() => {
+      if (timer) clearTimeout(timer);
+    });
+  }
+
+  /**
+   * POST a booking, retrying with exponential backoff
+   * @param {string} endpoint
+   * @param {Object} booking
+   * @returns {Promise<Object>}
+   */
+  function sendWithRetry(endpoint, booking) {
+    const attempt = (count) => {
+      return postBooking(endpoint, booking).catch(error => {
+        if (error instanceof PermanentError || count + 1 >= CONFIG.MAX_ATTEMPTS || !navigator.onLine) {
+          throw error;
+        }
+
+        const delay = CONFIG.BASE_DELAY * Math.pow(2, count) + Math.random() * 250;
+        return wait(delay).then(() => attempt(count + 1));
+      });
+    };
+
+    return attempt(0);
+  }
+
+  /**
+   * Read the offline queue
+   * @returns {Object[]}
+   */
+  function readQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(CONFIG.QUEUE_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Write the offline queue
+   * @param {Object[]} queue
+   */
+  function writeQueue(queue) {
+    try {
+      if (queue.length > 0) {
+        localStorage.setItem(CONFIG.QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        localStorage.removeItem(CONFIG.QUEUE_KEY);
+      }
+    } catch (error) {
+      console.warn('Booking queue could not be saved:', error);
+    }
+  }
+
+  /**
+   * Add a booking to the offline queue
+   * @param {string} endpoint
+   * @param {Object} booking
+   */
+  function enqueue(endpoint, booking) {
+    const queue = readQueue().filter(item => item.booking.id !== booking.id);
+    queue.push({ endpoint, booking });
+    writeQueue(queue);
+  }
+
+  let isFlushing = false;
+
+  /**
+   * Send everything in the offline queue
+   * @param {Function} [onSent] called with each booking that was sent
+   * @returns {Promise<void>}
+   */
+  function flushQueue(onSent) {
+    if (isFlushing || !navigator.onLine) return Promise.resolve();
+
+    const queue = readQueue();
+    if (queue.length === 0) return Promise.resolve();
+
+    isFlushing = true;
+
+    return queue.reduce((chain, item) => {
+      return chain.then(() => sendWithRetry(item.endpoint, item.booking)
+        .then(() => {
+          writeQueue(readQueue().filter(queued => queued.booking.id !== item.booking.id));
+          if (onSent) onSent(item.booking);
+        })
+        .catch(error => {
+          // Rejected bookings are dropped, network failures stay queued
+          if (error instanceof PermanentError) {
+            writeQueue(readQueue().filter(queued => queued.booking.id !== item.booking.id));
+          }
+          console.warn('Queued booking not sent:', error);
+        }));
+    }, Promise.resolve()).finally(() => {
+      isFlushing = false;
+    });
+  }
+
+  /**
+   * Update the status message and button state
+   * @param {HTMLFormElement} form
+   * @param {string} state pending | success | queued | failure
+   * @param {string} messageKey key in js/messages.js
+   */
+  function setStatus(form, state, messageKey) {
+    const status = form.querySelector('.booking__status');
+    const submitButton = form.querySelector('[type="submit"]');
+
+    form.dataset.state = state;
+
+    if (status) {
+      window.NasuSite.i18n.bind(status, messageKey);
+      status.className = `booking__status booking__status--${state}`;
+    }
+
+    if (submitButton) {
+      submitButton.disabled = state === 'pending';
+      submitButton.setAttribute('aria-busy', state === 'pending' ? 'true' : 'false');
+    }
+  }
+
+  /**
+   * Handle a validated submission
+   * @param {HTMLFormElement} form
+   */
+  function submitBooking(form) {
+    if (form.dataset.state === 'pending') return;
+
+    const endpoint = form.dataset.endpoint || CONFIG.DEFAULT_ENDPOINT;
+    const booking = {
+      id: createRequestId(),
+      submittedAt: new Date().toISOString(),
+      fields: serializeForm(form)
+    };
+
+    if (!navigator.onLine) {
+      enqueue(endpoint, booking);
+      setStatus(form, 'queued', MESSAGES.queued);
+      track('booking_submit', { result: 'queued' }, form);
+      form.reset();
+      return;
+    }
+
+    setStatus(form, 'pending', MESSAGES.pending);
+
+    sendWithRetry(endpoint, booking)
+      .then(() => {
+        setStatus(form, 'success', MESSAGES.success);
+        track('booking_submit', { result: 'success' }, form);
+        form.reset();
+      })
+      .catch(error => {
+        reportError('Booking submission failed', error);
+
+        // Lost the connection while retrying: keep it for later
+        if (!navigator.onLine) {
+          enqueue(endpoint, booking);
+          setStatus(form, 'queued', MESSAGES.queued);
+          track('booking_submit', { result: 'queued' }, form);
+          form.reset();
+          return;
+        }
+
+        setStatus(form, 'failure', MESSAGES.failure);
+        track('booking_submit', { result: 'failure' }, form);
+      });
+  }
+
+  /**
+   * Initialize booking forms
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initBookingForm(ctx) {
+    const forms = document.querySelectorAll('.booking__form');
+
+    forms.forEach(form => {
+      // Fired by js/form-validation.js once the fields are valid
+      ctx.on(form, 'nasu:form-valid', () => submitBooking(form));
+    });
+
+    const onQueuedSent = () => {
+      forms.forEach(form => setStatus(form, 'success', MESSAGES.queuedSent));
+    };
+
+    ctx.on(window, 'online', () => flushQueue(onQueuedSent));
+    flushQueue(onQueuedSent);
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.validation.define('booking', SCHEMA);
+    window.NasuSite.register('booking-form', { init: initBookingForm });
+  }
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      sendWithRetry,
+      flushQueue
+    };
+  }
+
+})();
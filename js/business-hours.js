@@ -0,0 +1,659 @@
+/**
+ * Business Hours
+ * Loads the opening hours (data/hours.json) and builds from them the "open now"
+ * status, the hours text in #access and the opening hours for the JSON-LD (js/structured-data.js).
+ * Times are always evaluated in Japan time, whatever the visitor's timezone.
+ *
+ * data/hours.json:
+ *   weekly   { monday: [{ opens: "10:00", closes: "22:00" }], saturday: [], ... }
+ *   closures [{ from: "2026-12-30", to: "2027-01-03", note: "年末年始休業" }]
+ *   special  [{ date: "2026-11-03", hours: [{ opens: "10:00", closes: "17:00" }], note: "文化の日" }]
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_SOURCE = './data/hours.json';
+
+  // Settings
+  const CONFIG = {
+    JST_OFFSET: 9 * 60 * 60 * 1000,   // Japan has no daylight saving time
+    LOOKAHEAD_DAYS: 60,               // how far to search for the next opening / upcoming exceptions
+    MAX_REFRESH: 60 * 60 * 1000       // re-check at least once an hour
+  };
+
+  const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const SCHEMA_DAY_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  // Monday first, as the schedule is read
+  const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+  const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  let hoursPromise = null;
+
+  // Shared helpers (js/error-reporter.js, js/i18n.js)
+  const reportError = window.NasuSite.reportError('business-hours');
+  const { t } = window.NasuSite.i18n;
+
+  /**
+   * Short (日, Sun) or full (日曜日, Sunday) name of a weekday
+   * @param {number} weekday 0 = Sunday
+   * @param {boolean} [full]
+   * @returns {string}
+   */
+  function dayLabel(weekday, full) {
+    return t(full ? 'hours.weekdayNames' : 'hours.weekdays').split(',')[weekday];
+  }
+
+  /**
+   * "10:30" -> 630
+   * @param {string} time
+   * @returns {number}
+   */
+  function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Calendar day in Japan for an instant
+   * @param {Date} date
+   * @returns {{key: string, year: number, month: number, day: number, weekday: number, minutes: number}}
+   */
+  function toJapanDay(date) {
+    const shifted = new Date(date.getTime() + CONFIG.JST_OFFSET);
+    const year = shifted.getUTCFullYear();
+    const month = shifted.getUTCMonth() + 1;
+    const day = shifted.getUTCDate();
+
+    return {
+      key: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+      year,
+      month,
+      day,
+      weekday: shifted.getUTCDay(),
+      minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+    };
+  }
+
+  /**
+   * The Japan day a number of days after another
+   * @param {Object} japanDay
+   * @param {number} offset
+   * @returns {Object}
+   */
+  function addDays(japanDay, offset) {
+    const midnight = Date.UTC(japanDay.year, japanDay.month - 1, japanDay.day + offset) - CONFIG.JST_OFFSET;
+    return toJapanDay(new Date(midnight));
+  }
+
+  /**
+   * Instant of a time of day on a Japan day
+   * @param {Object} japanDay
+   * @param {number} minutes
+   * @returns {Date}
+   */
+  function toInstant(japanDay, minutes) {
+    return new Date(Date.UTC(japanDay.year, japanDay.month - 1, japanDay.day) - CONFIG.JST_OFFSET + minutes * 60000);
+  }
+
+  /**
+   * Check the hours definition and throw on the first inconsistency
+   * @param {Object} hours
+   * @returns {Object} the same definition
+   */
+  function validateHours(hours) {
+    const fail = (message) => {
+      throw new Error(`Invalid business hours: ${message}`);
+    };
+
+    const checkIntervals = (intervals, where) => {
+      if (!Array.isArray(intervals)) {
+        fail(`${where} must be an array`);
+      }
+      intervals.forEach(interval => {
+        if (!TIME_PATTERN.test(interval.opens) || !TIME_PATTERN.test(interval.closes)) {
+          fail(`${where} needs "opens" and "closes" as HH:MM`);
+        }
+        if (toMinutes(interval.closes) <= toMinutes(interval.opens)) {
+          fail(`${where} closes before it opens (${interval.opens}-${interval.closes})`);
+        }
+      });
+    };
+
+    if (!hours || !hours.weekly) {
+      fail('"weekly" is required');
+    }
+
+    DAY_NAMES.forEach(name => checkIntervals(hours.weekly[name] || [], `weekly.${name}`));
+
+    (hours.closures || []).forEach((closure, index) => {
+      if (!DATE_PATTERN.test(closure.from) || !DATE_PATTERN.test(closure.to || closure.from)) {
+        fail(`closures[${index}] needs "from" (and optionally "to") as YYYY-MM-DD`);
+      }
+    });
+
+    (hours.special || []).forEach((special, index) => {
+      if (!DATE_PATTERN.test(special.date)) {
+        fail(`special[${index}] needs "date" as YYYY-MM-DD`);
+      }
+      checkIntervals(special.hours || [], `special[${index}].hours`);
+    });
+
+    return hours;
+  }
+
+  /**
+   * Load and validate the hours (cached after the first call)
+   * @param {string} [source]
+   * @returns {Promise<Object>}
+   */
+  function loadHours(source) {
+    if (!hoursPromise) {
+      const root = document.querySelector('[data-hours-src]');
+      const url = source || (root && root.dataset.hoursSrc) || DEFAULT_SOURCE;
+
+      hoursPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load business hours: HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(validateHours);
+    }
+
+    return hoursPromise;
+  }
+
+  /**
+   * Opening intervals for a Japan day, taking closures and special dates into account
+   * @param {Object} hours
+   * @param {Object} japanDay
+   * @returns {{intervals: Object[], type: string, note: string}} type is regular | special | closure
+   */
+  function getSchedule(hours, japanDay) {
+    const closure = (hours.closures || []).find(item => {
+      return japanDay.key >= item.from && japanDay.key <= (item.to || item.from);
+    });
+    if (closure) {
+      return { intervals: [], type: 'closure', note: closure.note || '' };
+    }
+
+    const special = (hours.special || []).find(item => item.date === japanDay.key);
+    if (special) {
+      return { intervals: special.hours || [], type: 'special', note: special.note || '' };
+    }
+
+    return { intervals: hours.weekly[DAY_NAMES[japanDay.weekday]] || [], type: 'regular', note: '' };
+  }
+
+  /**
+   * Whether the business is open, and when that changes
+   * @param {Object} hours
+   * @param {Date} [now]
+   * @returns {{state: string, schedule: Object, closesAt?: string, next?: Object, changesAt: Date|null}}
+   *   state is open | before-open | after-close | closed-today
+   */
+  function getStatus(hours, now) {
+    const today = toJapanDay(now || new Date());
+    const schedule = getSchedule(hours, today);
+
+    const current = schedule.intervals.find(interval => {
+      return toMinutes(interval.opens) <= today.minutes && today.minutes < toMinutes(interval.closes);
+    });
+
+    if (current) {
+      return {
+        state: 'open',
+        schedule,
+        closesAt: current.closes,
+        changesAt: toInstant(today, toMinutes(current.closes))
+      };
+    }
+
+    let state = 'closed-today';
+    if (schedule.intervals.length > 0) {
+      const isBeforeOpen = schedule.intervals.some(interval => toMinutes(interval.opens) > today.minutes);
+      state = isBeforeOpen ? 'before-open' : 'after-close';
+    }
+
+    const next = findNextOpening(hours, today);
+
+    return {
+      state,
+      schedule,
+      next,
+      changesAt: next ? toInstant(next.day, toMinutes(next.opens)) : null
+    };
+  }
+
+  /**
+   * Next opening after the current time of a Japan day
+   * @param {Object} hours
+   * @param {Object} today
+   * @returns {{day: Object, daysAhead: number, opens: string, schedule: Object}|null}
+   */
+  function findNextOpening(hours, today) {
+    for (let offset = 0; offset <= CONFIG.LOOKAHEAD_DAYS; offset++) {
+      const day = offset === 0 ? today : addDays(today, offset);
+      const schedule = getSchedule(hours, day);
+      const interval = schedule.intervals
+        .filter(item => offset > 0 || toMinutes(item.opens) > today.minutes)
+        .sort((a, b) => toMinutes(a.opens) - toMinutes(b.opens))[0];
+
+      if (interval) {
+        return { day, daysAhead: offset, opens: interval.opens, schedule };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * "10:00" -> "10時", "10:30" -> "10時30分"
+   * @param {string} time
+   * @returns {string}
+   */
+  function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return minutes === 0
+      ? t('hours.time', { hours })
+      : t('hours.timeWithMinutes', { hours, minutes: String(minutes).padStart(2, '0') });
+  }
+
+  /**
+   * "11月3日(火)"
+   * @param {Object} japanDay
+   * @returns {string}
+   */
+  function formatDate(japanDay) {
+    return t('hours.date', { month: japanDay.month, day: japanDay.day, weekday: dayLabel(japanDay.weekday) });
+  }
+
+  /**
+   * "10時〜22時"
+   * @param {string} from
+   * @param {string} to
+   * @returns {string}
+   */
+  function formatRange(from, to) {
+    return t('hours.range', { from, to });
+  }
+
+  /**
+   * "10時〜22時" or "10時〜13時、15時〜22時"
+   * @param {Object[]} intervals
+   * @returns {string}
+   */
+  function formatIntervals(intervals) {
+    return intervals
+      .map(interval => formatRange(formatTime(interval.opens), formatTime(interval.closes)))
+      .join(t('hours.listSeparator'));
+  }
+
+  /**
+   * "本日は休業日（年末年始休業）"
+   * @param {string} text
+   * @param {string} [note]
+   * @returns {string}
+   */
+  function withNote(text, note) {
+    return note ? t('hours.withNote', { text, note }) : text;
+  }
+
+  /**
+   * Status badge and detail text
+   * @param {Object} status result of getStatus
+   * @returns {{label: string, detail: string}}
+   */
+  function describeStatus(status) {
+    const nextText = () => {
+      if (!status.next) return '';
+
+      const { daysAhead, day, opens } = status.next;
+      const when = daysAhead === 0
+        ? t('hours.today')
+        : daysAhead === 1 ? t('hours.tomorrow', { date: formatDate(day) }) : formatDate(day);
+      return t('hours.next', { when, time: formatTime(opens) });
+    };
+
+    switch (status.state) {
+      case 'open':
+        return { label: t('hours.open'), detail: t('hours.until', { time: formatTime(status.closesAt) }) };
+      case 'before-open':
+        return { label: t('hours.beforeOpen'), detail: nextText() };
+      case 'after-close':
+        return { label: t('hours.afterClose'), detail: nextText() };
+      default: {
+        const { type, note } = status.schedule;
+        // A special date without hours is a one-off closure, e.g. 文化の日
+        const label = type === 'closure' || type === 'special' ? withNote(t('hours.closure'), note) : t('hours.regularHoliday');
+        return { label, detail: nextText() };
+      }
+    }
+  }
+
+  /**
+   * Group weekdays with identical hours, Monday first
+   * @param {Object} hours
+   * @returns {{days: number[], intervals: Object[]}[]}
+   */
+  function groupWeekly(hours) {
+    const groups = [];
+
+    WEEK_ORDER.forEach(weekday => {
+      const intervals = hours.weekly[DAY_NAMES[weekday]] || [];
+      if (intervals.length === 0) return;
+
+      const key = JSON.stringify(intervals);
+      const group = groups.find(item => item.key === key);
+
+      if (group) {
+        group.days.push(weekday);
+      } else {
+        groups.push({ key, days: [weekday], intervals });
+      }
+    });
+
+    return groups;
+  }
+
+  /**
+   * Consecutive runs of weekdays, e.g. [1,2,3,4,5,0] -> [[1,5],[0,0]]
+   * @param {number[]} days weekdays in WEEK_ORDER
+   * @returns {number[][]}
+   */
+  function toDayRanges(days) {
+    const ranges = [];
+
+    days.forEach(weekday => {
+      const last = ranges[ranges.length - 1];
+      if (last && WEEK_ORDER.indexOf(weekday) === WEEK_ORDER.indexOf(last[1]) + 1) {
+        last[1] = weekday;
+      } else {
+        ranges.push([weekday, weekday]);
+      }
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Weekly hours as text, e.g. "10時〜22時" or "月〜金 10時〜22時 / 日 10時〜18時"
+   * @param {Object} hours
+   * @returns {string}
+   */
+  function describeWeekly(hours) {
+    const groups = groupWeekly(hours);
+
+    if (groups.length === 1) {
+      return formatIntervals(groups[0].intervals);
+    }
+
+    return groups.map(group => {
+      const days = toDayRanges(group.days)
+        .map(([from, to]) => (from === to ? dayLabel(from) : formatRange(dayLabel(from), dayLabel(to))))
+        .join(t('hours.daySeparator'));
+      return `${days} ${formatIntervals(group.intervals)}`;
+    }).join(' / ');
+  }
+
+  /**
+   * Regular closing days as text, e.g. "土曜日"
+   * @param {Object} hours
+   * @returns {string}
+   */
+  function describeClosedDays(hours) {
+    const closed = WEEK_ORDER.filter(weekday => (hours.weekly[DAY_NAMES[weekday]] || []).length === 0);
+    return closed.length > 0
+      ? closed.map(weekday => dayLabel(weekday, true)).join(t('hours.daySeparator'))
+      : t('hours.none');
+  }
+
+  /**
+   * Closures and special hours within the lookahead window
+   * @param {Object} hours
+   * @param {Date} [now]
+   * @returns {string[]}
+   */
+  function describeUpcoming(hours, now) {
+    const today = toJapanDay(now || new Date());
+    const last = addDays(today, CONFIG.LOOKAHEAD_DAYS).key;
+    const parseDay = (key) => {
+      const [year, month, day] = key.split('-').map(Number);
+      return toJapanDay(new Date(Date.UTC(year, month - 1, day) - CONFIG.JST_OFFSET));
+    };
+
+    const entries = [];
+
+    (hours.closures || []).forEach(closure => {
+      const to = closure.to || closure.from;
+      if (to < today.key || closure.from > last) return;
+
+      const range = to === closure.from
+        ? formatDate(parseDay(closure.from))
+        : formatRange(formatDate(parseDay(closure.from)), formatDate(parseDay(to)));
+      entries.push({ key: closure.from, text: withNote(`${range} ${t('hours.closed')}`, closure.note) });
+    });
+
+    (hours.special || []).forEach(special => {
+      if (special.date < today.key || special.date > last) return;
+
+      const intervals = special.hours || [];
+      const text = `${formatDate(parseDay(special.date))} ${intervals.length > 0 ? formatIntervals(intervals) : t('hours.closed')}`;
+      entries.push({ key: special.date, text: withNote(text, special.note) });
+    });
+
+    return entries.sort((a, b) => (a.key < b.key ? -1 : 1)).map(entry => entry.text);
+  }
+
+  /**
+   * schema.org openingHoursSpecification, one entry per group of days with the same interval
+   * @param {Object} hours
+   * @returns {Object[]}
+   */
+  function toOpeningHoursSpecification(hours) {
+    const specs = [];
+
+    groupWeekly(hours).forEach(group => {
+      const days = group.days.map(weekday => `https://schema.org/${SCHEMA_DAY_OF_WEEK[weekday]}`);
+      group.intervals.forEach(interval => {
+        specs.push({
+          '@type': 'OpeningHoursSpecification',
+          dayOfWeek: days,
+          opens: interval.opens,
+          closes: interval.closes
+        });
+      });
+    });
+
+    return specs;
+  }
+
+  /**
+   * schema.org specialOpeningHoursSpecification for closures and special dates
+   * @param {Object} hours
+   * @returns {Object[]}
+   */
+  function toSpecialOpeningHours(hours) {
+    const specs = [];
+
+    (hours.closures || []).forEach(closure => {
+      specs.push({
+        '@type': 'OpeningHoursSpecification',
+        opens: '00:00',
+        closes: '00:00',
+        validFrom: closure.from,
+        validThrough: closure.to || closure.from
+      });
+    });
+
+    (hours.special || []).forEach(special => {
+      const intervals = special.hours && special.hours.length > 0 ? special.hours : [{ opens: '00:00', closes: '00:00' }];
+      intervals.forEach(interval => {
+        specs.push({
+          '@type': 'OpeningHoursSpecification',
+          opens: interval.opens,
+          closes: interval.closes,
+          validFrom: special.date,
+          validThrough: special.date
+        });
+      });
+    });
+
+    return specs;
+  }
+
+  /**
+   * Render the status widget
+   * @param {HTMLElement} element
+   * @param {Object} status
+   */
+  function renderStatus(element, status) {
+    const { label, detail } = describeStatus(status);
+    const modifier = status.state === 'open' ? 'open' : 'closed';
+
+    element.className = `hours-status hours-status--${modifier}`;
+    element.innerHTML = '';
+
+    const badge = document.createElement('span');
+    badge.className = 'hours-status__label';
+    badge.textContent = label;
+    element.appendChild(badge);
+
+    if (detail) {
+      const detailText = document.createElement('span');
+      detailText.className = 'hours-status__detail';
+      detailText.textContent = detail;
+      element.appendChild(detailText);
+    }
+  }
+
+  /**
+   * Fill [data-hours-text] elements (hours | closed | upcoming)
+   * @param {Object} hours
+   */
+  function renderHoursText(hours) {
+    document.querySelectorAll('[data-hours-text]').forEach(element => {
+      switch (element.dataset.hoursText) {
+        case 'hours':
+          element.textContent = describeWeekly(hours);
+          break;
+        case 'closed':
+          element.textContent = describeClosedDays(hours);
+          break;
+        case 'upcoming': {
+          const upcoming = describeUpcoming(hours);
+          element.innerHTML = '';
+          upcoming.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            element.appendChild(item);
+          });
+          element.hidden = upcoming.length === 0;
+          break;
+        }
+      }
+    });
+  }
+
+  /**
+   * Keep the status widgets current
+   * Re-renders when the status changes, at midnight (for "明日"), when the tab is shown again
+   * and when the language changes
+   * @param {Object} hours
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initStatusWidgets(hours, ctx) {
+    const widgets = document.querySelectorAll('[data-hours-status]');
+    if (widgets.length === 0) return;
+
+    let timer = null;
+
+    const update = () => {
+      clearTimeout(timer);
+
+      const now = new Date();
+      const status = getStatus(hours, now);
+      widgets.forEach(widget => renderStatus(widget, status));
+
+      const midnight = toInstant(addDays(toJapanDay(now), 1), 0);
+      const nextChange = Math.min(
+        status.changesAt ? status.changesAt.getTime() : Infinity,
+        midnight.getTime(),
+        now.getTime() + CONFIG.MAX_REFRESH
+      );
+
+      timer = setTimeout(update, Math.max(1000, nextChange - now.getTime() + 1000));
+    };
+
+    update();
+    ctx.cleanup(() => clearTimeout(timer));
+
+    // Timers are throttled in background tabs
+    ctx.on(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        update();
+      }
+    });
+
+    ctx.on(document, 'nasu:language-change', update);
+  }
+
+  /**
+   * Initialize business hours
+   * @param {Object} ctx feature context
+   */
+  function initBusinessHours(ctx) {
+    let isDestroyed = false;
+
+    loadHours()
+      .then(hours => {
+        if (isDestroyed) return;
+        renderHoursText(hours);
+        initStatusWidgets(hours, ctx);
+        ctx.on(document, 'nasu:language-change', () => renderHoursText(hours));
+      })
+      .catch(error => {
+        // The static text in the page stays as it is
+        reportError('Failed to load business hours', error);
+      });
+
+    return () => {
+      isDestroyed = true;
+    };
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('business-hours', { init: initBusinessHours });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.hours = {
+    load: loadHours,
+    validate: validateHours,
+    getSchedule,
+    getStatus,
+    describeStatus,
+    describeWeekly,
+    toOpeningHoursSpecification,
+    toSpecialOpeningHours,
+    toJapanDay
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.hours;
+  }
+
+})();
@@ -0,0 +1,370 @@
+/**
+ * Add to Calendar
+ * Turns a confirmed trial session into an .ics file (with the Asia/Tokyo timezone,
+ * the studio address from #access and a reminder) and Google Calendar / Outlook links.
+ * Everything is built in the browser; staff send customers a link such as
+ *
+ *   https://nasushiobara-personalgym-seitairoom.com/?event=2026-11-03T10:00&dur=60
+ *
+ *   <div class="calendar" data-calendar data-event="2026-11-03T10:00" data-dur="60" data-alarm="60" hidden>
+ *
+ *   data-event   start in Japan time; ?event= in the URL takes precedence
+ *   data-dur     length in minutes (?dur=)
+ *   data-alarm   minutes before the start for the reminder, 0 for none
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    TIMEZONE: 'Asia/Tokyo',
+    JST_OFFSET: 9 * 60 * 60 * 1000,   // Japan has no daylight saving time
+    DURATION: 60,                     // minutes
+    MAX_DURATION: 8 * 60,
+    ALARM: 60,                        // minutes before the start
+    DOMAIN: 'nasushiobara-personalgym-seitairoom.com',
+    ADDRESS_SELECTOR: '#accessAddress',
+    PHONE_SELECTOR: '#accessPhone',
+    GOOGLE_URL: 'https://calendar.google.com/calendar/render',
+    OUTLOOK_URL: 'https://outlook.live.com/calendar/0/action/compose'
+  };
+
+  const EVENT_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/;
+
+  // Shared helpers (js/tracking.js, js/i18n.js)
+  const { track } = window.NasuSite;
+  const { t } = window.NasuSite.i18n;
+
+  /**
+   * Parse a start such as "2026-11-03T10:00" (Japan time)
+   * @param {string} value
+   * @returns {Date|null} the instant, or null when the value is not a real date and time
+   */
+  function parseEventStart(value) {
+    const match = EVENT_PATTERN.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day, hour, minute] = match.slice(1).map(Number);
+    const utc = Date.UTC(year, month - 1, day, hour, minute);
+    const check = new Date(utc);
+
+    // Rejects 2026-02-30, 25:00 and the like
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || check.getUTCHours() !== hour) {
+      return null;
+    }
+
+    return new Date(utc - CONFIG.JST_OFFSET);
+  }
+
+  /**
+   * Read the event from the URL, or from the element's data attributes
+   * @param {Object} options feature options
+   * @returns {{start: Date, duration: number, alarm: number}|null}
+   */
+  function readEvent(options) {
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get('event') || options.event;
+    if (!value) return null;
+
+    const start = parseEventStart(value);
+    const duration = Number(params.get('dur') || options.dur);
+
+    if (!start || !Number.isInteger(duration) || duration <= 0 || duration > CONFIG.MAX_DURATION) {
+      console.warn(`Invalid calendar event "${value}" (${duration} minutes)`);
+      return null;
+    }
+
+    return { start, duration, alarm: options.alarm };
+  }
+
+  /**
+   * Digits of a date in Japan time, e.g. "20261103T100000"
+   * @param {Date} date
+   * @returns {string}
+   */
+  function formatLocal(date) {
+    return new Date(date.getTime() + CONFIG.JST_OFFSET).toISOString().replace(/[-:]/g, '').slice(0, 15);
+  }
+
+  /**
+   * Digits of a date in UTC, e.g. "20261103T010000Z"
+   * @param {Date} date
+   * @returns {string}
+   */
+  function formatUtc(date) {
+    return `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+  }
+
+  /**
+   * Escape a TEXT value (RFC 5545 3.3.11)
+   * @param {string} value
+   * @returns {string}
+   */
+  function escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * UTF-8 length of a character
+   * @param {string} char
+   * @returns {number}
+   */
+  function utf8Length(char) {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+
+  /**
+   * Fold a content line at 75 octets (RFC 5545 3.1), never inside a character
+   * @param {string} line
+   * @returns {string}
+   */
+  function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    Array.from(line).forEach(char => {
+      const length = utf8Length(char);
+      // Continuation lines start with a space, which counts towards their 75
+      const limit = parts.length === 0 ? 75 : 74;
+
+      if (size + length > limit) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += length;
+    });
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Text of an element in the page, e.g. the address in #access
+   * @param {string} selector
+   * @returns {string}
+   */
+  function pageText(selector) {
+    const element = document.querySelector(selector);
+    return element ? element.textContent.trim() : '';
+  }
+
+  /**
+   * Title, place and notes for the event, in the page language
+   * @param {Object} options feature options
+   * @returns {{title: string, location: string, description: string, url: string}}
+   */
+  function describeEvent(options) {
+    return {
+      title: options.eventTitle || t('calendar.eventTitle'),
+      location: pageText(CONFIG.ADDRESS_SELECTOR),
+      description: t('calendar.eventDescription', { phone: pageText(CONFIG.PHONE_SELECTOR) }),
+      url: `https://${CONFIG.DOMAIN}/`
+    };
+  }
+
+  /**
+   * Build the .ics file
+   * @param {{start: Date, duration: number, alarm: number}} event
+   * @param {{title: string, location: string, description: string, url: string}} details
+   * @returns {string}
+   */
+  function buildIcs(event, details) {
+    const end = new Date(event.start.getTime() + event.duration * 60000);
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${CONFIG.DOMAIN}//Trial booking//JA`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'BEGIN:VTIMEZONE',
+      `TZID:${CONFIG.TIMEZONE}`,
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      'TZOFFSETFROM:+0900',
+      'TZOFFSETTO:+0900',
+      'TZNAME:JST',
+      'END:STANDARD',
+      'END:VTIMEZONE',
+      'BEGIN:VEVENT',
+      // Stable for the same booking, so importing the file twice updates the event
+      `UID:trial-${formatUtc(event.start)}-${event.duration}@${CONFIG.DOMAIN}`,
+      `DTSTAMP:${formatUtc(new Date())}`,
+      `DTSTART;TZID=${CONFIG.TIMEZONE}:${formatLocal(event.start)}`,
+      `DTEND;TZID=${CONFIG.TIMEZONE}:${formatLocal(end)}`,
+      `SUMMARY:${escapeText(details.title)}`,
+      `LOCATION:${escapeText(details.location)}`,
+      `DESCRIPTION:${escapeText(details.description)}`,
+      `URL:${details.url}`
+    ];
+
+    if (event.alarm > 0) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(details.title)}`,
+        `TRIGGER:-PT${event.alarm}M`,
+        'END:VALARM'
+      );
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Google Calendar and Outlook links for the event
+   * @param {Object} event
+   * @param {Object} details
+   * @returns {{google: string, outlook: string}}
+   */
+  function buildLinks(event, details) {
+    const end = new Date(event.start.getTime() + event.duration * 60000);
+
+    const google = new URL(CONFIG.GOOGLE_URL);
+    google.search = new URLSearchParams({
+      action: 'TEMPLATE',
+      text: details.title,
+      dates: `${formatUtc(event.start)}/${formatUtc(end)}`,
+      ctz: CONFIG.TIMEZONE,
+      location: details.location,
+      details: details.description
+    }).toString();
+
+    const outlook = new URL(CONFIG.OUTLOOK_URL);
+    outlook.search = new URLSearchParams({
+      rru: 'addevent',
+      subject: details.title,
+      startdt: event.start.toISOString(),
+      enddt: end.toISOString(),
+      location: details.location,
+      body: details.description
+    }).toString();
+
+    return { google: google.href, outlook: outlook.href };
+  }
+
+  /**
+   * Date and time of the event for the page, e.g. "2026年11月3日(火) 10:00〜11:00"
+   * @param {Object} event
+   * @returns {string}
+   */
+  function formatWhen(event) {
+    const locale = window.NasuSite.i18n.getLanguage() === 'en' ? 'en-US' : 'ja-JP';
+    const end = new Date(event.start.getTime() + event.duration * 60000);
+    const date = new Intl.DateTimeFormat(locale, {
+      timeZone: CONFIG.TIMEZONE,
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      weekday: 'short'
+    });
+    const time = new Intl.DateTimeFormat(locale, {
+      timeZone: CONFIG.TIMEZONE,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+
+    return t('calendar.when', {
+      date: date.format(event.start),
+      start: time.format(event.start),
+      end: time.format(end)
+    });
+  }
+
+  /**
+   * Initialize the calendar links
+   * @param {Object} ctx feature context (js/site.js), rooted at [data-calendar]
+   */
+  function initCalendar(ctx) {
+    const root = ctx.root;
+    const event = readEvent(ctx.options);
+    if (!event) return;
+
+    const when = root.querySelector('.calendar__when');
+    const download = root.querySelector('[data-calendar-ics]');
+    const google = root.querySelector('[data-calendar-google]');
+    const outlook = root.querySelector('[data-calendar-outlook]');
+
+    const render = () => {
+      const details = describeEvent(ctx.options);
+      const links = buildLinks(event, details);
+
+      when.textContent = formatWhen(event);
+
+      // A data: URL rather than a blob, so there is nothing to revoke and in-app browsers can open it
+      download.href = `data:text/calendar;charset=utf-8,${encodeURIComponent(buildIcs(event, details))}`;
+      download.download = `nasu-trial-${formatLocal(event.start).slice(0, 8)}.ics`;
+
+      google.href = links.google;
+      outlook.href = links.outlook;
+    };
+
+    render();
+    root.hidden = false;
+
+    ctx.on(root, 'click', (e) => {
+      const link = e.target.closest('a');
+      if (!link) return;
+
+      const method = 'calendarIcs' in link.dataset ? 'ics' : 'calendarGoogle' in link.dataset ? 'google' : 'outlook';
+      track('add_to_calendar', { method }, link);
+    });
+
+    ctx.on(document, 'nasu:language-change', render);
+
+    // Opened from a link sent by staff: bring the booking into view
+    if (new URLSearchParams(window.location.search).has('event') && window.NasuSite.navigation) {
+      const timer = setTimeout(() => window.NasuSite.navigation.scrollToElement(root), 100);
+      ctx.cleanup(() => clearTimeout(timer));
+    }
+
+    return () => {
+      root.hidden = true;
+    };
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('calendar', {
+      root: '[data-calendar]',
+      defaults: {
+        event: '',
+        dur: CONFIG.DURATION,
+        alarm: CONFIG.ALARM,
+        eventTitle: ''
+      },
+      init: initCalendar
+    });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.calendar = {
+    parse: parseEventStart,
+    buildIcs,
+    buildLinks
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.calendar;
+  }
+
+})();
@@ -0,0 +1,374 @@
+/**
+ * Consent Manager
+ * Consent banner and preferences dialog for analytics and external embeds.
+ * Other scripts read the current state and subscribe to changes through
+ * window.NasuSite.consent; iframes marked with data-consent wait for consent.
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    STORAGE_KEY: 'nasu:consent',
+    VERSION: 1,                   // bump to ask everyone again after the categories change
+    CATEGORIES: ['analytics', 'media', 'maps']
+  };
+
+  let state = readStoredState();
+  const subscribers = [];
+
+  /**
+   * Read the stored choices
+   * "decided" is false when only single categories were granted (see grant)
+   * @returns {{decided: boolean, choices: Object<string, boolean>}}
+   */
+  function readStoredState() {
+    const empty = { decided: false, choices: {} };
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY));
+      if (!stored || stored.version !== CONFIG.VERSION) return empty;
+      return { decided: stored.decided !== false, choices: stored.choices || {} };
+    } catch (error) {
+      return empty;
+    }
+  }
+
+  /**
+   * Persist the choices
+   */
+  function writeStoredState() {
+    try {
+      localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify({
+        version: CONFIG.VERSION,
+        updatedAt: new Date().toISOString(),
+        decided: state.decided,
+        choices: state.choices
+      }));
+    } catch (error) {
+      console.warn('Consent could not be saved:', error);
+    }
+  }
+
+  /**
+   * Whether a category is allowed
+   * @param {string} category 'necessary', 'analytics', 'media' or 'maps'
+   * @returns {boolean}
+   */
+  function isGranted(category) {
+    if (category === 'necessary') return true;
+    return state.choices[category] === true;
+  }
+
+  /**
+   * Whether the visitor has made a choice yet
+   * @returns {boolean}
+   */
+  function hasDecided() {
+    return state.decided;
+  }
+
+  /**
+   * Current choices for every category
+   * @returns {Object<string, boolean>}
+   */
+  function getAll() {
+    const all = {};
+    CONFIG.CATEGORIES.forEach(category => {
+      all[category] = isGranted(category);
+    });
+    return all;
+  }
+
+  /**
+   * Store choices and notify subscribers
+   * @param {Object<string, boolean>} choices categories to change; others keep their value
+   * @param {boolean} decided whether this answers the banner
+   */
+  function applyChoices(choices, decided) {
+    const previous = getAll();
+
+    state = {
+      decided: state.decided || decided,
+      choices: Object.assign({}, state.choices, choices)
+    };
+    writeStoredState();
+
+    const current = getAll();
+    subscribers.slice().forEach(callback => {
+      try {
+        callback(current, previous);
+      } catch (error) {
+        console.error('Consent subscriber failed:', error);
+      }
+    });
+
+    document.dispatchEvent(new CustomEvent('nasu:consent-change', {
+      detail: { consent: current, previous }
+    }));
+  }
+
+  /**
+   * Save the visitor's answer from the banner or the preferences dialog
+   * @param {Object<string, boolean>} choices categories to change; others keep their value
+   */
+  function update(choices) {
+    applyChoices(choices, true);
+    hideBanner();
+  }
+
+  /**
+   * Allow a single category the visitor asked for (e.g. "地図を表示する")
+   * The other categories stay unanswered and the banner stays up.
+   * @param {string} category
+   */
+  function grant(category) {
+    if (isGranted(category)) return;
+
+    const choices = {};
+    choices[category] = true;
+    applyChoices(choices, false);
+  }
+
+  /**
+   * Listen for consent changes
+   * @param {Function} callback called with (current, previous)
+   * @returns {Function} unsubscribe
+   */
+  function subscribe(callback) {
+    subscribers.push(callback);
+
+    return () => {
+      const index = subscribers.indexOf(callback);
+      if (index > -1) subscribers.splice(index, 1);
+    };
+  }
+
+  /**
+   * Run a callback once a category is granted (immediately if it already is)
+   * @param {string} category
+   * @param {Function} callback
+   */
+  function whenGranted(category, callback) {
+    if (isGranted(category)) {
+      callback();
+      return;
+    }
+
+    const unsubscribe = subscribe(current => {
+      if (current[category]) {
+        unsubscribe();
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Grant or deny every category
+   * @param {boolean} granted
+   */
+  function setAll(granted) {
+    const choices = {};
+    CONFIG.CATEGORIES.forEach(category => {
+      choices[category] = granted;
+    });
+    update(choices);
+  }
+
+  /**
+   * Show the banner
+   */
+  function showBanner() {
+    const banner = document.getElementById('consentBanner');
+    if (banner) banner.hidden = false;
+  }
+
+  /**
+   * Hide the banner
+   */
+  function hideBanner() {
+    const banner = document.getElementById('consentBanner');
+    if (banner) banner.hidden = true;
+  }
+
+  /**
+   * Open the preferences dialog with the current choices filled in
+   */
+  function openPreferences() {
+    const dialog = document.getElementById('consentDialog');
+    if (!dialog) return;
+
+    dialog.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+      checkbox.checked = isGranted(checkbox.dataset.consentCategory);
+    });
+
+    if (typeof dialog.showModal === 'function') {
+      if (!dialog.open) dialog.showModal();
+    } else {
+      dialog.setAttribute('open', '');
+    }
+  }
+
+  /**
+   * Close the preferences dialog
+   */
+  function closePreferences() {
+    const dialog = document.getElementById('consentDialog');
+    if (!dialog) return;
+
+    if (typeof dialog.close === 'function') {
+      dialog.close();
+    } else {
+      dialog.removeAttribute('open');
+    }
+  }
+
+  /**
+   * Save the checkboxes in the preferences dialog
+   */
+  function savePreferences() {
+    const dialog = document.getElementById('consentDialog');
+    const choices = {};
+
+    dialog.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+      choices[checkbox.dataset.consentCategory] = checkbox.checked;
+    });
+
+    update(choices);
+    closePreferences();
+  }
+
+  /**
+   * Wire up banner, dialog and "open settings" buttons
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initConsentUi(ctx) {
+    ctx.on(document, 'click', (e) => {
+      const opener = e.target.closest('[data-consent-open]');
+      if (opener) {
+        e.preventDefault();
+        openPreferences();
+        return;
+      }
+
+      const actionButton = e.target.closest('[data-consent-action]');
+      if (!actionButton) return;
+
+      switch (actionButton.dataset.consentAction) {
+        case 'accept':
+          setAll(true);
+          closePreferences();
+          break;
+        case 'reject':
+          setAll(false);
+          closePreferences();
+          break;
+        case 'settings':
+          openPreferences();
+          break;
+        case 'save':
+          savePreferences();
+          break;
+        case 'cancel':
+          closePreferences();
+          break;
+      }
+    });
+
+    if (!hasDecided()) {
+      showBanner();
+    }
+  }
+
+  /**
+   * Load an iframe that waits for consent
+   * @param {HTMLIFrameElement} iframe
+   */
+  function loadEmbed(iframe) {
+    if (!iframe.getAttribute('src')) {
+      iframe.setAttribute('src', iframe.dataset.consentSrc);
+    }
+    iframe.hidden = false;
+
+    const placeholder = iframe.parentNode.querySelector('.consent-placeholder');
+    if (placeholder) placeholder.hidden = true;
+  }
+
+  /**
+   * Unload an iframe after consent is withdrawn
+   * @param {HTMLIFrameElement} iframe
+   */
+  function unloadEmbed(iframe) {
+    iframe.removeAttribute('src');
+    iframe.hidden = true;
+
+    const placeholder = iframe.parentNode.querySelector('.consent-placeholder');
+    if (placeholder) placeholder.hidden = false;
+  }
+
+  /**
+   * Gate iframes marked with data-consent / data-consent-src
+   * A sibling .consent-placeholder is shown until consent is given;
+   * its [data-consent-load] button grants only that category.
+   * @param {Object} ctx feature context
+   */
+  function initConsentEmbeds(ctx) {
+    const embeds = document.querySelectorAll('iframe[data-consent][data-consent-src]');
+
+    embeds.forEach(iframe => {
+      const category = iframe.dataset.consent;
+
+      if (isGranted(category)) {
+        loadEmbed(iframe);
+      } else {
+        unloadEmbed(iframe);
+      }
+
+      const loadButton = iframe.parentNode.querySelector('[data-consent-load]');
+      if (loadButton) {
+        ctx.on(loadButton, 'click', () => grant(category));
+      }
+    });
+
+    ctx.cleanup(subscribe(current => {
+      embeds.forEach(iframe => {
+        if (current[iframe.dataset.consent]) {
+          loadEmbed(iframe);
+        } else {
+          unloadEmbed(iframe);
+        }
+      });
+    }));
+  }
+
+  /**
+   * Register the consent features (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('consent-ui', { init: initConsentUi });
+    window.NasuSite.register('consent-embeds', { init: initConsentEmbeds });
+  }
+
+  // Expose to other scripts (available before DOM ready)
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.consent = {
+    get: isGranted,
+    getAll,
+    hasDecided,
+    update,
+    grant,
+    subscribe,
+    whenGranted,
+    openPreferences
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.consent;
+  }
+
+})();
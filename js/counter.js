@@ -0,0 +1,258 @@
+/**
+ * Counter
+ * Counts a number up when it scrolls into view, e.g. "10,000+" or "98.5%".
+ * The number, decimals, prefix and suffix are read from the text; data attributes override them:
+ *
+ *   <div data-counter>10,000+</div>
+ *   <div data-counter="12" data-counter-suffix="年" data-counter-duration="1500">12年</div>
+ *
+ *   data-counter            target value (optional, read from the text)
+ *   data-counter-from       start value (default 0)
+ *   data-counter-decimals   digits after the decimal point
+ *   data-counter-prefix / data-counter-suffix
+ *   data-counter-duration   ms (default 2000)
+ *   data-counter-grouping   "false" for numbers such as years (2024)
+ *
+ * Screen readers only get the final value; the counting digits are aria-hidden.
+ * With prefers-reduced-motion the final value is shown right away.
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    LOCALE: 'ja-JP',
+    DURATION: 2000,      // ms
+    THRESHOLD: 0.5       // share of the element visible before counting starts
+  };
+
+  // element -> options, read once (the text is replaced while counting)
+  const optionsByElement = new WeakMap();
+
+  /**
+   * Read a number from a data attribute
+   * @param {string|undefined} value
+   * @param {number} fallback
+   * @returns {number}
+   */
+  function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : number;
+  }
+
+  /**
+   * Split a text such as "約10,000+" into prefix, number and suffix
+   * @param {string} text
+   * @returns {{prefix: string, value: number, suffix: string, decimals: number, grouping: boolean}|null}
+   *   null when the text has no number
+   */
+  function parseCounterText(text) {
+    const match = /^([^\d-]*)(-?\d[\d,]*(?:\.\d+)?)([\s\S]*)$/.exec((text || '').trim());
+    if (!match) return null;
+
+    const digits = match[2].replace(/,/g, '');
+    const decimalIndex = digits.indexOf('.');
+    const value = parseFloat(digits);
+
+    return {
+      prefix: match[1],
+      value,
+      suffix: match[3],
+      decimals: decimalIndex === -1 ? 0 : digits.length - decimalIndex - 1,
+      // "2024" stays without separators, "10,000" keeps them
+      grouping: match[2].includes(',') || Math.abs(value) < 1000
+    };
+  }
+
+  /**
+   * Counter options from the element's text and data attributes
+   * @param {HTMLElement} element
+   * @returns {Object|null} null when there is no number to count
+   */
+  function readCounterOptions(element) {
+    const data = element.dataset;
+    const parsed = parseCounterText(element.textContent) || {};
+    const value = readNumber(data.counter, parsed.value);
+
+    if (typeof value !== 'number' || isNaN(value)) return null;
+
+    return {
+      value,
+      from: readNumber(data.counterFrom, 0),
+      decimals: readNumber(data.counterDecimals, parsed.decimals || 0),
+      prefix: 'counterPrefix' in data ? data.counterPrefix : (parsed.prefix || ''),
+      suffix: 'counterSuffix' in data ? data.counterSuffix : (parsed.suffix || ''),
+      duration: readNumber(data.counterDuration, CONFIG.DURATION),
+      grouping: 'counterGrouping' in data ? data.counterGrouping !== 'false' : parsed.grouping !== false
+    };
+  }
+
+  /**
+   * Format a value with the counter's decimals, prefix and suffix
+   * @param {number} value
+   * @param {Object} options
+   * @returns {string}
+   */
+  function formatCounter(value, options) {
+    const formatter = new Intl.NumberFormat(CONFIG.LOCALE, {
+      minimumFractionDigits: options.decimals,
+      maximumFractionDigits: options.decimals,
+      useGrouping: options.grouping
+    });
+
+    return `${options.prefix}${formatter.format(value)}${options.suffix}`;
+  }
+
+  /**
+   * Split the element into the counting digits (hidden from screen readers) and the final value
+   * @param {HTMLElement} element
+   * @param {Object} options
+   * @returns {HTMLElement} the element that shows the counting digits
+   */
+  function prepareCounter(element, options) {
+    let display = element.querySelector('.stat-counter__value');
+
+    if (!display) {
+      display = document.createElement('span');
+      display.className = 'stat-counter__value';
+      display.setAttribute('aria-hidden', 'true');
+
+      const label = document.createElement('span');
+      label.className = 'visually-hidden';
+
+      element.textContent = '';
+      element.appendChild(display);
+      element.appendChild(label);
+    }
+
+    const finalText = formatCounter(options.value, options);
+    element.querySelector('.visually-hidden').textContent = finalText;
+    display.textContent = finalText;
+
+    return display;
+  }
+
+  /**
+   * Ease out (fast start, slow finish)
+   * @param {number} progress 0..1
+   * @returns {number}
+   */
+  function easeOutCubic(progress) {
+    return 1 - Math.pow(1 - progress, 3);
+  }
+
+  /**
+   * Count an element up to its value
+   * @param {HTMLElement} element
+   * @param {Object} [overrides] options instead of the data attributes, e.g. { duration: 1000 }
+   * @returns {Function} stops counting and shows the final value
+   */
+  function animateCounter(element, overrides) {
+    if (!optionsByElement.has(element)) {
+      const read = readCounterOptions(element);
+      if (!read) return () => {};
+      optionsByElement.set(element, read);
+    }
+
+    const options = Object.assign({}, optionsByElement.get(element), overrides);
+    const display = prepareCounter(element, options);
+    const finalText = display.textContent;
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+    if (prefersReducedMotion || options.duration <= 0) {
+      return () => {};
+    }
+
+    const requestFrame = window.requestAnimationFrame
+      ? window.requestAnimationFrame.bind(window)
+      : (callback) => setTimeout(() => callback(Date.now()), 16);
+    const cancelFrame = window.cancelAnimationFrame
+      ? window.cancelAnimationFrame.bind(window)
+      : clearTimeout;
+
+    let startTime = null;
+    let frame = null;
+
+    const step = (now) => {
+      if (startTime === null) startTime = now;
+
+      const progress = Math.min(1, (now - startTime) / options.duration);
+
+      if (progress < 1) {
+        const current = options.from + (options.value - options.from) * easeOutCubic(progress);
+        display.textContent = formatCounter(current, options);
+        frame = requestFrame(step);
+      } else {
+        display.textContent = finalText;
+        frame = null;
+      }
+    };
+
+    display.textContent = formatCounter(options.from, options);
+    frame = requestFrame(step);
+
+    return () => {
+      if (frame !== null) cancelFrame(frame);
+      frame = null;
+      display.textContent = finalText;
+    };
+  }
+
+  /**
+   * Count up [data-counter] elements when they scroll into view (once)
+   * @returns {Function} stops observing and finishes running counters
+   */
+  function initCounters() {
+    const counters = Array.from(document.querySelectorAll('[data-counter]'))
+      .filter(element => !element.classList.contains('counted'));
+
+    if (counters.length === 0 || !('IntersectionObserver' in window)) return;
+
+    const running = [];
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+
+        running.push(animateCounter(entry.target));
+        entry.target.classList.add('counted');
+        observer.unobserve(entry.target);
+      });
+    }, {
+      root: null,
+      threshold: CONFIG.THRESHOLD
+    });
+
+    counters.forEach(counter => observer.observe(counter));
+
+    return () => {
+      observer.disconnect();
+      running.forEach(finish => finish());
+    };
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('counters', { init: initCounters });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.counter = {
+    animate: animateCounter,
+    parse: parseCounterText,
+    format: formatCounter
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.counter;
+  }
+
+})();
@@ -0,0 +1,245 @@
+/**
+ * Error Reporter
+ * Captures script errors and unhandled rejections, together with the last user
+ * actions (breadcrumbs), and sends them to an endpoint with navigator.sendBeacon.
+ * Repeated errors are deduplicated and reports are rate-limited.
+ *
+ * Configure with data attributes on the script tag:
+ *   <script src="./js/error-reporter.js" data-endpoint="/api/errors"></script>
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    DEFAULT_ENDPOINT: '/api/errors',
+    MAX_BREADCRUMBS: 20,          // user actions kept with each report
+    MAX_REPORTS_PER_PAGE: 20,
+    MAX_REPORTS_PER_WINDOW: 5,    // at most 5 reports ...
+    RATE_WINDOW: 10000            // ... every 10 seconds
+  };
+
+  const script = document.currentScript;
+  const options = script ? script.dataset : {};
+  const endpoint = options.endpoint || CONFIG.DEFAULT_ENDPOINT;
+  const maxBreadcrumbs = parseInt(options.maxBreadcrumbs, 10) || CONFIG.MAX_BREADCRUMBS;
+
+  const breadcrumbs = [];
+  const seen = new Map();          // fingerprint -> occurrence count
+  const recentReports = [];        // timestamps within the rate window
+  let reportCount = 0;
+
+  /**
+   * Record a user action
+   * @param {string} category e.g. 'navigation', 'ui.tab', 'ui.menu'
+   * @param {string} message
+   * @param {Object} [data]
+   */
+  function addBreadcrumb(category, message, data) {
+    breadcrumbs.push({
+      category,
+      message,
+      data: data || {},
+      timestamp: new Date().toISOString()
+    });
+
+    if (breadcrumbs.length > maxBreadcrumbs) {
+      breadcrumbs.shift();
+    }
+  }
+
+  /**
+   * Reporter for one script, so every report names where it came from
+   *
+   *   const reportError = window.NasuSite.reportError('faq');
+   *   reportError('Failed to render FAQ', error);
+   *
+   * @param {string} source script name
+   * @returns {function(string, *, Object=)} (message, error, extra context)
+   */
+  function reporterFor(source) {
+    return (message, error, context) => report(message, error, Object.assign({ source }, context));
+  }
+
+  /**
+   * Copy of the current breadcrumbs
+   * @returns {Object[]}
+   */
+  function getBreadcrumbs() {
+    return breadcrumbs.slice();
+  }
+
+  /**
+   * Read file, line and column from the first stack frame
+   * @param {string} stack
+   * @returns {{file: string, line: number, column: number}|null}
+   */
+  function parseStackLocation(stack) {
+    const match = /(https?:\/\/[^\s)]+):(\d+):(\d+)/.exec(stack || '');
+    if (!match) return null;
+
+    return {
+      file: match[1],
+      line: Number(match[2]),
+      column: Number(match[3])
+    };
+  }
+
+  /**
+   * Normalize anything thrown into { name, message, stack }
+   * @param {*} error
+   * @returns {{name: string, message: string, stack: string}}
+   */
+  function normalizeError(error) {
+    if (error instanceof Error) {
+      return {
+        name: error.name,
+        message: error.message,
+        stack: error.stack || ''
+      };
+    }
+
+    let message;
+    try {
+      message = typeof error === 'string' ? error : JSON.stringify(error);
+    } catch (e) {
+      message = String(error);
+    }
+
+    return { name: 'NonError', message: message || 'Unknown error', stack: '' };
+  }
+
+  /**
+   * Whether a report may be sent now
+   * @returns {boolean}
+   */
+  function isRateLimited() {
+    const now = Date.now();
+
+    while (recentReports.length > 0 && now - recentReports[0] > CONFIG.RATE_WINDOW) {
+      recentReports.shift();
+    }
+
+    if (reportCount >= CONFIG.MAX_REPORTS_PER_PAGE || recentReports.length >= CONFIG.MAX_REPORTS_PER_WINDOW) {
+      return true;
+    }
+
+    reportCount++;
+    recentReports.push(now);
+    return false;
+  }
+
+  /**
+   * Send a report
+   * @param {Object} payload
+   */
+  function send(payload) {
+    const body = JSON.stringify(payload);
+
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) {
+      return;
+    }
+
+    if (typeof fetch === 'function') {
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+    }
+  }
+
+  /**
+   * Build and send a report
+   * @param {*} error
+   * @param {Object} [context] extra information, e.g. { source: 'video-loader' }
+   * @param {{file?: string, line?: number, column?: number}} [location] known source location
+   */
+  function capture(error, context, location) {
+    const normalized = normalizeError(error);
+    const source = location && location.file ? location : parseStackLocation(normalized.stack);
+    const fingerprint = [
+      normalized.name,
+      normalized.message,
+      source ? `${source.file}:${source.line}:${source.column}` : ''
+    ].join('|');
+
+    // Count duplicates, but only report the first occurrence
+    const occurrences = (seen.get(fingerprint) || 0) + 1;
+    seen.set(fingerprint, occurrences);
+    if (occurrences > 1 || isRateLimited()) return;
+
+    send({
+      name: normalized.name,
+      message: normalized.message,
+      stack: normalized.stack,
+      source,
+      context: context || {},
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString(),
+      breadcrumbs: getBreadcrumbs()
+    });
+  }
+
+  /**
+   * Report a handled error (also logged to the console)
+   * @param {string} message what failed, e.g. 'Vimeo player error'
+   * @param {*} error
+   * @param {Object} [context]
+   */
+  function report(message, error, context) {
+    console.error(`${message}:`, error);
+    capture(error instanceof Error ? error : new Error(`${message}: ${normalizeError(error).message}`),
+      Object.assign({ message }, context));
+  }
+
+  /**
+   * Capture uncaught errors and rejections
+   */
+  function initGlobalHandlers() {
+    window.addEventListener('error', (e) => {
+      // Resource load failures (img, script) have no error object
+      if (!e.error && e.target && e.target !== window) {
+        const target = e.target;
+        capture(new Error(`Failed to load ${target.tagName.toLowerCase()}`), {
+          resource: target.src || target.href || ''
+        });
+        return;
+      }
+
+      capture(e.error || e.message, {}, {
+        file: e.filename,
+        line: e.lineno,
+        column: e.colno
+      });
+    }, true);
+
+    window.addEventListener('unhandledrejection', (e) => {
+      capture(e.reason, { type: 'unhandledrejection' });
+    });
+  }
+
+  initGlobalHandlers();
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.errors = {
+    report,
+    capture,
+    addBreadcrumb,
+    getBreadcrumbs
+  };
+
+  // Shorthands for the feature scripts
+  window.NasuSite.reportError = reporterFor;
+  window.NasuSite.addBreadcrumb = addBreadcrumb;
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.errors;
+  }
+
+})();
@@ -0,0 +1,330 @@
+/**
+ * FAQ
+ * Renders the questions (data/faq.json) as disclosure buttons, filters them as the
+ * visitor types and opens the question named in the URL hash (#faq-parking).
+ *
+ *   <div class="faq__list" data-faq-src="./data/faq.json">
+ *
+ * data/faq.json:
+ *   items [{ id: "tickets", question: { ja, en }, answer: { ja, en }, keywords: ["回数券"] }]
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    SOURCE: './data/faq.json',
+    HASH_PREFIX: 'faq-'
+  };
+
+  const ID_PATTERN = /^[a-z0-9-]+$/;
+
+  let faqPromise = null;
+
+  // Shared helpers (js/tracking.js, js/error-reporter.js, js/i18n.js)
+  const { track } = window.NasuSite;
+  const reportError = window.NasuSite.reportError('faq');
+  const { t, localize } = window.NasuSite.i18n;
+
+  /**
+   * Text folded for matching: full-width to half-width, lower case, hiragana to katakana
+   * @param {string} value
+   * @returns {string}
+   */
+  function fold(value) {
+    return value
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60));
+  }
+
+  /**
+   * Check the questions and throw on the first inconsistency
+   * @param {Object} data
+   * @returns {Object} the same data
+   */
+  function validateFaq(data) {
+    const fail = (message) => {
+      throw new Error(`Invalid FAQ: ${message}`);
+    };
+
+    if (!data || !Array.isArray(data.items) || data.items.length === 0) {
+      fail('no items');
+    }
+
+    const ids = new Set();
+    data.items.forEach((item, index) => {
+      if (!ID_PATTERN.test(item.id || '')) fail(`item ${index} has an invalid id`);
+      if (ids.has(item.id)) fail(`duplicate id "${item.id}"`);
+      if (!localize(item.question) || !localize(item.answer)) fail(`"${item.id}" needs a question and an answer`);
+      ids.add(item.id);
+    });
+
+    return data;
+  }
+
+  /**
+   * Load and validate the questions (cached after the first call)
+   * @param {string} [source]
+   * @returns {Promise<Object>}
+   */
+  function loadFaq(source) {
+    if (!faqPromise) {
+      faqPromise = fetch(source || CONFIG.SOURCE)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load FAQ: HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(validateFaq);
+    }
+
+    return faqPromise;
+  }
+
+  /**
+   * Build a question with its answer
+   * @param {Object} item
+   * @returns {HTMLElement}
+   */
+  function renderItem(item) {
+    const id = `${CONFIG.HASH_PREFIX}${item.id}`;
+
+    const element = document.createElement('div');
+    element.className = 'faq__item';
+    element.id = id;
+
+    const heading = document.createElement('h3');
+    heading.className = 'faq__question';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'faq__toggle';
+    toggle.id = `${id}-question`;
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', `${id}-answer`);
+
+    const label = document.createElement('span');
+    label.className = 'faq__toggle-text';
+
+    const icon = document.createElement('span');
+    icon.className = 'faq__icon';
+    icon.setAttribute('aria-hidden', 'true');
+
+    toggle.append(label, icon);
+    heading.appendChild(toggle);
+
+    const answer = document.createElement('div');
+    answer.className = 'faq__answer';
+    answer.id = `${id}-answer`;
+    answer.setAttribute('role', 'region');
+    answer.setAttribute('aria-labelledby', toggle.id);
+    answer.hidden = true;
+
+    const text = document.createElement('p');
+    text.className = 'faq__answer-text';
+    answer.appendChild(text);
+
+    element.append(heading, answer);
+    return element;
+  }
+
+  /**
+   * Wire up the rendered questions
+   * @param {HTMLElement} root .faq__list
+   * @param {Object} data
+   * @param {Object} ctx feature context
+   */
+  function bindFaq(root, data, ctx) {
+    const list = root.querySelector('.faq__items');
+    const search = root.querySelector('.faq__search');
+    const input = root.querySelector('.faq__search-input');
+    const count = root.querySelector('.faq__count');
+    const empty = root.querySelector('.faq__empty');
+
+    const entries = data.items.map(item => {
+      const element = renderItem(item);
+      list.appendChild(element);
+      return {
+        item,
+        element,
+        toggle: element.querySelector('.faq__toggle'),
+        answer: element.querySelector('.faq__answer')
+      };
+    });
+
+    const renderText = () => {
+      entries.forEach(entry => {
+        entry.toggle.querySelector('.faq__toggle-text').textContent = localize(entry.item.question);
+        entry.answer.querySelector('.faq__answer-text').textContent = localize(entry.item.answer);
+      });
+    };
+
+    const setOpen = (entry, isOpen) => {
+      entry.toggle.setAttribute('aria-expanded', String(isOpen));
+      entry.answer.hidden = !isOpen;
+      entry.element.classList.toggle('faq__item--open', isOpen);
+    };
+
+    // Matches the question, the answer and the keywords in either language
+    const applyFilter = (announce) => {
+      const query = input ? fold(input.value.trim()) : '';
+      let visible = 0;
+
+      entries.forEach(entry => {
+        const item = entry.item;
+        const haystack = fold([
+          localize(item.question),
+          localize(item.answer),
+          item.question.ja,
+          item.answer.ja
+        ].concat(item.keywords || []).join(' '));
+
+        const isMatch = query === '' || query.split(/\s+/).every(word => haystack.includes(word));
+        entry.element.hidden = !isMatch;
+        if (isMatch) visible++;
+      });
+
+      empty.hidden = visible > 0;
+      count.textContent = announce && query !== '' ? t('faq.count', { count: visible }) : '';
+    };
+
+    // Open, reveal and scroll to a question (deep links and links to #faq-...)
+    const findEntry = (hash) => {
+      let id;
+      try {
+        id = decodeURIComponent((hash || '').replace(/^#/, ''));
+      } catch (error) {
+        return null;   // malformed escape, e.g. "#%E3"
+      }
+      return entries.find(entry => entry.element.id === id) || null;
+    };
+
+    const reveal = (entry, behavior) => {
+      if (entry.element.hidden && input) {
+        input.value = '';
+        applyFilter(false);
+      }
+
+      setOpen(entry, true);
+
+      const navigation = window.NasuSite.navigation;
+      if (navigation) {
+        navigation.scrollToElement(entry.element, behavior);
+      } else {
+        entry.element.scrollIntoView({ behavior: behavior || 'smooth' });
+      }
+      entry.toggle.focus({ preventScroll: true });
+    };
+
+    entries.forEach(entry => {
+      ctx.on(entry.toggle, 'click', () => {
+        const isOpen = entry.toggle.getAttribute('aria-expanded') !== 'true';
+        setOpen(entry, isOpen);
+
+        // Keep the open question in the URL, so it can be shared
+        if (isOpen) {
+          if (history.replaceState) {
+            history.replaceState(history.state, '', `#${entry.element.id}`);
+          }
+          track('faq_open', { question: entry.item.id }, entry.toggle);
+        }
+      });
+    });
+
+    if (input) {
+      search.hidden = false;
+      ctx.on(input, 'input', () => applyFilter(true));
+    }
+
+    // Links to a question open it before scrolling.
+    // Runs in the capture phase, ahead of the smooth scroll in navigation.js.
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest('a[href^="#"]');
+      const entry = link && findEntry(link.getAttribute('href'));
+      if (!entry) return;
+
+      e.preventDefault();
+      if (history.pushState && window.location.hash !== link.getAttribute('href')) {
+        history.pushState(null, '', link.getAttribute('href'));
+      }
+      reveal(entry);
+    }, true);
+
+    ctx.on(window, 'hashchange', () => {
+      const entry = findEntry(window.location.hash);
+      if (entry) reveal(entry);
+    });
+
+    ctx.on(document, 'nasu:language-change', () => {
+      renderText();
+      applyFilter(false);
+    });
+
+    renderText();
+    applyFilter(false);
+
+    // Initial state, e.g. when opened from a shared link
+    const initialEntry = findEntry(window.location.hash);
+    if (initialEntry) {
+      reveal(initialEntry, 'auto');
+    }
+  }
+
+  /**
+   * Initialize the FAQ
+   * @param {Object} ctx feature context (js/site.js), rooted at .faq__list
+   */
+  function initFaq(ctx) {
+    const root = ctx.root;
+    let isDestroyed = false;
+
+    loadFaq(ctx.options.faqSrc)
+      .then(data => {
+        if (isDestroyed) return;
+        bindFaq(root, data, ctx);
+      })
+      .catch(error => {
+        if (isDestroyed) return;
+        reportError('Failed to render FAQ', error);
+        root.closest('.faq').hidden = true;
+      });
+
+    return () => {
+      isDestroyed = true;
+      root.querySelector('.faq__items').innerHTML = '';
+      root.querySelector('.faq__search').hidden = true;
+      root.querySelector('.faq__count').textContent = '';
+      root.querySelector('.faq__empty').hidden = true;
+    };
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('faq', {
+      root: '.faq__list',
+      defaults: { faqSrc: CONFIG.SOURCE },
+      init: initFaq
+    });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.faq = {
+    load: loadFaq,
+    validate: validateFaq
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.faq;
+  }
+
+})();
@@ -0,0 +1,545 @@
+/**
+ * Form Validation
+ * Validates forms against per-field schemas, with Japanese input in mind:
+ * full-width characters are normalized, phone numbers follow Japanese landline
+ * and mobile formats, furigana must be katakana and postal codes fill in the address.
+ *
+ *   window.NasuSite.validation.define('booking', {
+ *     phone:      { required: true, normalize: ['phone'], rules: ['phone'] },
+ *     furigana:   { required: true, normalize: ['katakana'], rules: ['katakana'] },
+ *     postalCode: { normalize: ['postalCode'], rules: ['postalCode'], autofill: 'address' }
+ *   });
+ *
+ *   <form data-validate="booking" novalidate>
+ *
+ * Forms without a schema get one from their markup (required, type="email", type="tel").
+ * Errors are linked to their fields with aria-invalid / aria-describedby, and listed in
+ * a summary at the top of the form on submit. Valid forms fire "nasu:form-valid".
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    POSTAL_SOURCE: './data/postal-tochigi.json',  // built by dev/build-postal-data.js
+    BADGE_SELECTOR: '.booking__required'          // left out of field names in the error summary
+  };
+
+  const schemas = {};
+  const normalizers = {};
+  const rules = {};
+
+  let postalPromise = null;
+
+  // Shared helpers (js/tracking.js, js/error-reporter.js, js/i18n.js)
+  const { track } = window.NasuSite;
+  const reportError = window.NasuSite.reportError('form-validation');
+  const { t } = window.NasuSite.i18n;
+
+  /**
+   * Register a normalizer
+   * @param {string} name
+   * @param {Function} fn value -> normalized value
+   */
+  function addNormalizer(name, fn) {
+    normalizers[name] = fn;
+  }
+
+  /**
+   * Register a rule
+   * @param {string} name
+   * @param {Function} fn (value, field) -> message key when invalid, otherwise null
+   */
+  function addRule(name, fn) {
+    rules[name] = fn;
+  }
+
+  /**
+   * Declare the schema for forms with data-validate="<name>"
+   * @param {string} name
+   * @param {Object<string, {required?: boolean, normalize?: string[], rules?: string[], autofill?: string}>} schema
+   *   fields by name; autofill names the field that receives the address for a postal code
+   */
+  function define(name, schema) {
+    schemas[name] = schema;
+  }
+
+  // Hyphens, dashes and minus signs typed with Japanese input methods
+  const DASHES = /[‐-―−－ｰー]/g;
+
+  addNormalizer('trim', value => value.trim());
+
+  // Full-width letters, digits and spaces to half-width, half-width katakana to full-width
+  addNormalizer('width', value => value.normalize('NFKC'));
+
+  addNormalizer('katakana', value => normalizers.width(value)
+    .replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60))
+    .replace(/\s+/g, ' ')
+    .trim());
+
+  addNormalizer('phone', value => normalizers.width(value)
+    .replace(DASHES, '-')
+    .replace(/\s+/g, '')
+    .trim());
+
+  addNormalizer('postalCode', value => {
+    const normalized = normalizers.width(value).replace(DASHES, '-').replace(/[〒\s]/g, '');
+    const digits = normalized.replace(/-/g, '');
+    return /^\d{7}$/.test(digits) ? `${digits.slice(0, 3)}-${digits.slice(3)}` : normalized;
+  });
+
+  addRule('email', value => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : 'form.invalidEmail'));
+
+  /**
+   * Japanese phone numbers, with or without hyphens:
+   *   landline 0287-47-6181 (10 digits), mobile 090-1234-5678 (11 digits),
+   *   IP phone 050-, toll-free 0120- / 0800-, and +81 in place of the leading 0
+   */
+  addRule('phone', value => {
+    const national = value.replace(/^\+81-?/, '0').replace(/[()]/g, '-').replace(/^-+|-+$/g, '').replace(/-+/g, '-');
+    const digits = national.replace(/-/g, '');
+
+    const isMobile = /^0[5-9]0\d{8}$/.test(digits);
+    const isTollFree = /^0120\d{6}$/.test(digits) || /^0800\d{7}$/.test(digits);
+    const isLandline = /^0[1-9]\d{8}$/.test(digits) && !/^0[5-9]0/.test(digits);
+
+    if (!isMobile && !isTollFree && !isLandline) return 'form.invalidPhone';
+
+    // Hyphenated numbers need three groups ending in four digits (0120 numbers end in three)
+    if (national.includes('-') && !/^0\d{1,4}-\d{1,4}-\d{3,4}$/.test(national)) return 'form.invalidPhone';
+
+    return null;
+  });
+
+  addRule('katakana', value => (/^[ァ-ヺー・ ]+$/.test(value) ? null : 'form.invalidKana'));
+
+  addRule('postalCode', value => (/^\d{3}-\d{4}$/.test(value) ? null : 'form.invalidPostalCode'));
+
+  /**
+   * Single text-like control (not a radio group or checkbox)
+   * @param {*} field
+   * @returns {boolean}
+   */
+  function isTextField(field) {
+    return Boolean(field) && field.nodeType === 1 && typeof field.value === 'string' &&
+      field.type !== 'radio' && field.type !== 'checkbox';
+  }
+
+  /**
+   * Schema for a form: declared with data-validate, or read from its markup
+   * @param {HTMLFormElement} form
+   * @returns {Object}
+   */
+  function getSchema(form) {
+    const name = form.dataset.validate;
+    if (name) {
+      if (schemas[name]) return schemas[name];
+      console.warn(`No validation schema named "${name}"`);
+    }
+
+    const schema = {};
+    form.querySelectorAll('input[name], textarea[name], select[name]').forEach(field => {
+      if (!isTextField(field)) return;
+
+      const fieldRules = [];
+      if (field.type === 'email') fieldRules.push('email');
+      if (field.type === 'tel') fieldRules.push('phone');
+
+      schema[field.name] = {
+        required: field.required,
+        normalize: field.type === 'tel' ? ['phone'] : field.type === 'email' ? ['width', 'trim'] : ['trim'],
+        rules: fieldRules
+      };
+    });
+
+    return schema;
+  }
+
+  /**
+   * Normalize a value with a field's normalizers
+   * @param {string} value
+   * @param {Object} definition
+   * @returns {string}
+   */
+  function normalize(value, definition) {
+    return (definition.normalize || []).reduce((result, name) => {
+      if (!normalizers[name]) {
+        console.warn(`Unknown normalizer "${name}"`);
+        return result;
+      }
+      return normalizers[name](result);
+    }, value);
+  }
+
+  /**
+   * Validate one value
+   * @param {string} value normalized value
+   * @param {Object} definition
+   * @param {HTMLElement} [field]
+   * @returns {string|null} message key of the first failing rule
+   */
+  function validateValue(value, definition, field) {
+    if (!value.trim()) {
+      return definition.required ? 'form.required' : null;
+    }
+
+    for (const name of definition.rules || []) {
+      if (!rules[name]) {
+        console.warn(`Unknown validation rule "${name}"`);
+        continue;
+      }
+
+      const error = rules[name](value, field);
+      if (error) return error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Field label without the "required" badge, for the error summary
+   * @param {HTMLElement} field
+   * @returns {string}
+   */
+  function getFieldLabel(field) {
+    const label = field.id ? document.querySelector(`label[for="${field.id}"]`) : field.closest('label');
+    if (!label) return field.name;
+
+    const copy = label.cloneNode(true);
+    copy.querySelectorAll(`${CONFIG.BADGE_SELECTOR}, input, select, textarea`).forEach(element => element.remove());
+    return copy.textContent.trim();
+  }
+
+  /**
+   * Id for a field's error message
+   * @param {HTMLElement} field
+   * @returns {string}
+   */
+  function getErrorId(field) {
+    if (!field.id) {
+      field.id = `field-${field.form ? field.form.dataset.validate || 'form' : 'form'}-${field.name}`;
+    }
+    return `${field.id}-error`;
+  }
+
+  /**
+   * Add or remove an id in aria-describedby, keeping the others
+   * @param {HTMLElement} field
+   * @param {string} id
+   * @param {boolean} include
+   */
+  function toggleDescribedBy(field, id, include) {
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(item => item && item !== id);
+    if (include) ids.push(id);
+
+    if (ids.length > 0) {
+      field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Show a field's error and link it to the field
+   * @param {HTMLElement} field
+   * @param {string} messageKey
+   */
+  function showError(field, messageKey) {
+    const errorId = getErrorId(field);
+    let errorElement = document.getElementById(errorId);
+
+    if (!errorElement) {
+      errorElement = document.createElement('p');
+      errorElement.className = 'form-error';
+      errorElement.id = errorId;
+      field.insertAdjacentElement('afterend', errorElement);
+    }
+
+    window.NasuSite.i18n.bind(errorElement, messageKey);
+    field.setAttribute('aria-invalid', 'true');
+    toggleDescribedBy(field, errorId, true);
+  }
+
+  /**
+   * Remove a field's error
+   * @param {HTMLElement} field
+   */
+  function hideError(field) {
+    const errorId = getErrorId(field);
+    const errorElement = document.getElementById(errorId);
+
+    if (errorElement) errorElement.remove();
+    field.removeAttribute('aria-invalid');
+    toggleDescribedBy(field, errorId, false);
+  }
+
+  /**
+   * Normalize, validate and show the result for one field
+   * @param {HTMLElement} field
+   * @param {Object} definition
+   * @returns {string|null} message key when invalid
+   */
+  function checkField(field, definition) {
+    const normalized = normalize(field.value, definition);
+    if (normalized !== field.value) {
+      field.value = normalized;
+    }
+
+    const error = validateValue(normalized, definition, field);
+    if (error) {
+      showError(field, error);
+    } else {
+      hideError(field);
+    }
+
+    return error;
+  }
+
+  /**
+   * Render the error summary at the top of the form
+   * @param {HTMLFormElement} form
+   * @param {{field: HTMLElement, messageKey: string}[]} errors
+   * @returns {HTMLElement|null} the summary, or null when there are no errors
+   */
+  function renderSummary(form, errors) {
+    let summary = form.querySelector('.form-summary');
+
+    if (errors.length === 0) {
+      if (summary) summary.remove();
+      return null;
+    }
+
+    if (!summary) {
+      summary = document.createElement('div');
+      summary.className = 'form-summary';
+      summary.setAttribute('role', 'alert');
+      summary.tabIndex = -1;
+      form.insertBefore(summary, form.firstChild);
+    }
+
+    summary.innerHTML = '';
+
+    const title = document.createElement('p');
+    title.className = 'form-summary__title';
+    title.textContent = t('form.summary', { count: errors.length });
+    summary.appendChild(title);
+
+    const list = document.createElement('ul');
+    list.className = 'form-summary__list';
+
+    errors.forEach(({ field, messageKey }) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'form-summary__link';
+      link.href = `#${field.id}`;
+      link.textContent = t('form.summaryItem', { label: getFieldLabel(field), message: t(messageKey) });
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    summary.appendChild(list);
+    return summary;
+  }
+
+  /**
+   * Validate every field in the form's schema
+   * @param {HTMLFormElement} form
+   * @param {Object} schema
+   * @returns {{field: HTMLElement, messageKey: string}[]} errors in document order
+   */
+  function validateForm(form, schema) {
+    const errors = [];
+
+    Object.keys(schema).forEach(name => {
+      const field = form.elements[name];
+      if (!isTextField(field) || field.disabled) return;
+
+      const messageKey = checkField(field, schema[name]);
+      if (messageKey) errors.push({ field, messageKey });
+    });
+
+    return errors.sort((a, b) => (
+      a.field.compareDocumentPosition(b.field) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    ));
+  }
+
+  /**
+   * Load the postal code dataset (cached after the first call)
+   * @returns {Promise<Object>} 7-digit code -> [prefecture, city, town]
+   */
+  function loadPostalCodes() {
+    if (!postalPromise) {
+      postalPromise = fetch(CONFIG.POSTAL_SOURCE)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load postal codes: HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(data => data.codes || {})
+        .catch(error => {
+          postalPromise = null;
+          throw error;
+        });
+    }
+
+    return postalPromise;
+  }
+
+  /**
+   * Address for a postal code such as "329-2753"
+   * @param {string} postalCode
+   * @returns {Promise<string|null>} null when the code is not in the dataset
+   */
+  function lookupAddress(postalCode) {
+    const digits = postalCode.replace(/\D/g, '');
+    if (digits.length !== 7) return Promise.resolve(null);
+
+    return loadPostalCodes().then(codes => (codes[digits] ? codes[digits].join('') : null));
+  }
+
+  /**
+   * Fill the address field from a valid postal code, unless the visitor typed an address
+   * @param {HTMLElement} postalField
+   * @param {HTMLElement} addressField
+   */
+  function autofillAddress(postalField, addressField) {
+    const postalCode = postalField.value;
+
+    lookupAddress(postalCode)
+      .then(address => {
+        // Changed again while loading, or not in the dataset
+        if (!address || postalField.value !== postalCode) return;
+
+        const isUntouched = !addressField.value || addressField.value === addressField.dataset.autofilled;
+        if (!isUntouched) return;
+
+        addressField.value = address;
+        addressField.dataset.autofilled = address;
+        hideError(addressField);
+        track('postal_autofill', { postal_code: postalCode }, postalField);
+      })
+      .catch(error => reportError('Postal code lookup failed', error));
+  }
+
+  /**
+   * Validate forms on submit, fields on blur, and keep the summary current
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initFormValidation(ctx) {
+    document.querySelectorAll('form').forEach(form => {
+      const schema = getSchema(form);
+      let errors = [];
+
+      const refreshSummary = () => {
+        errors = errors.filter(error => error.field.getAttribute('aria-invalid') === 'true');
+        renderSummary(form, errors);
+      };
+
+      ctx.on(form, 'submit', (e) => {
+        e.preventDefault();
+
+        errors = validateForm(form, schema);
+        const summary = renderSummary(form, errors);
+
+        if (summary) {
+          summary.focus();
+          track('form_invalid', { form: form.dataset.validate || 'form', fields: errors.length }, form);
+          return;
+        }
+
+        // Hand over to the form's own script (e.g. booking-form.js) to send the data
+        form.dispatchEvent(new CustomEvent('nasu:form-valid', { bubbles: true }));
+      });
+
+      Object.keys(schema).forEach(name => {
+        const field = form.elements[name];
+        const definition = schema[name];
+        if (!isTextField(field)) return;
+
+        // Check when leaving a field the visitor has filled in
+        ctx.on(field, 'blur', () => {
+          if (!field.value && field.getAttribute('aria-invalid') !== 'true') return;
+          checkField(field, definition);
+          refreshSummary();
+        });
+
+        // While an error is shown, clear it as soon as the value is fixed
+        ctx.on(field, 'input', () => {
+          if (field.getAttribute('aria-invalid') !== 'true') return;
+          if (!validateValue(normalize(field.value, definition), definition, field)) {
+            hideError(field);
+            refreshSummary();
+          }
+        });
+
+        if (definition.autofill) {
+          const addressField = form.elements[definition.autofill];
+          if (!addressField) return;
+
+          ctx.on(field, 'focus', () => loadPostalCodes().catch(() => {}), { once: true });
+          ctx.on(field, 'input', () => {
+            const normalized = normalize(field.value, definition);
+            if (!validateValue(normalized, definition, field) && normalized) {
+              field.value = normalized;
+              autofillAddress(field, addressField);
+            }
+          });
+        }
+      });
+
+      // Jump from the summary to the field
+      ctx.on(form, 'click', (e) => {
+        const link = e.target.closest('.form-summary__link');
+        if (!link) return;
+
+        e.preventDefault();
+        const field = document.getElementById(link.getAttribute('href').slice(1));
+        if (!field) return;
+
+        const navigation = window.NasuSite.navigation;
+        if (navigation) {
+          navigation.scrollToElement(field.closest('.booking__field') || field);
+        }
+        field.focus({ preventScroll: Boolean(navigation) });
+      });
+
+      ctx.on(document, 'nasu:language-change', () => renderSummary(form, errors));
+
+      ctx.cleanup(() => {
+        Object.keys(schema).forEach(name => {
+          if (isTextField(form.elements[name])) hideError(form.elements[name]);
+        });
+        renderSummary(form, []);
+      });
+    });
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('form-validation', { init: initFormValidation });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.validation = {
+    define,
+    addRule,
+    addNormalizer,
+    normalize,
+    validate: validateValue,
+    lookupAddress
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.validation;
+  }
+
+})();
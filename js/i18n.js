@@ -0,0 +1,419 @@
+/**
+ * Internationalization
+ * Message dictionaries (js/messages.js), the page language and the header language switch.
+ *
+ * Page content is marked with keys; the Japanese markup is the source text and is
+ * restored when switching back:
+ *   <h2 data-i18n="trainer.title">パーソナルトレーナー紹介</h2>
+ *   <p data-i18n-html="hero.subtitle">…<br>…</p>            (trusted markup from the dictionary)
+ *   <img data-i18n-attr="alt:trainer.imageAlt; title:…">
+ *
+ * Scripts use t() for their own messages:
+ *   window.NasuSite.i18n.t('form.required')
+ *   window.NasuSite.i18n.t('hours.until', { time: '22時' })
+ *
+ * The language comes from ?lang=en, then the visitor's last choice, then Japanese.
+ * Switching dispatches "nasu:language-change" on document ({ language, previous }).
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    DEFAULT_LANGUAGE: 'ja',
+    LANGUAGES: ['ja', 'en'],
+    STORAGE_KEY: 'nasu:language',
+    PARAM: 'lang'
+  };
+
+  const dictionaries = {};
+  const originals = new WeakMap();   // element -> { text, html, attributes } from the markup
+
+  CONFIG.LANGUAGES.forEach(language => {
+    dictionaries[language] = {};
+  });
+
+  let currentLanguage = detectLanguage();
+
+  /**
+   * Read the saved language
+   * @returns {string|null}
+   */
+  function readSavedLanguage() {
+    try {
+      return localStorage.getItem(CONFIG.STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the visitor's choice
+   * @param {string} language
+   */
+  function saveLanguage(language) {
+    try {
+      localStorage.setItem(CONFIG.STORAGE_KEY, language);
+    } catch (error) {
+      // Private browsing etc.: the choice only lasts for this page
+    }
+  }
+
+  /**
+   * @param {string} language
+   * @returns {boolean}
+   */
+  function isSupported(language) {
+    return CONFIG.LANGUAGES.includes(language);
+  }
+
+  /**
+   * Language from the URL, the saved choice or the default
+   * @returns {string}
+   */
+  function detectLanguage() {
+    const fromUrl = new URLSearchParams(window.location.search).get(CONFIG.PARAM);
+    if (isSupported(fromUrl)) return fromUrl;
+
+    const saved = readSavedLanguage();
+    if (isSupported(saved)) return saved;
+
+    return CONFIG.DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Add messages to a dictionary
+   * @param {string} language
+   * @param {Object} messages flat map of keys to strings, e.g. { 'nav.menuOpen': 'Open menu' }
+   */
+  function addMessages(language, messages) {
+    if (!dictionaries[language]) {
+      console.warn(`Unsupported language "${language}"`);
+      return;
+    }
+
+    Object.assign(dictionaries[language], messages);
+  }
+
+  /**
+   * Whether a language has its own message for a key
+   * @param {string} key
+   * @param {string} [language] the current language when omitted
+   * @returns {boolean}
+   */
+  function has(key, language) {
+    return Object.prototype.hasOwnProperty.call(dictionaries[language || currentLanguage], key);
+  }
+
+  /**
+   * Replace {name} placeholders
+   * @param {string} message
+   * @param {Object} [params]
+   * @returns {string}
+   */
+  function interpolate(message, params) {
+    if (!params) return message;
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+      Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+    ));
+  }
+
+  /**
+   * Message for a key in the current language (Japanese when it has no translation)
+   * @param {string} key
+   * @param {Object} [params] values for {name} placeholders
+   * @param {string} [language] a fixed language instead of the current one
+   * @returns {string} the key itself when no dictionary has it
+   */
+  function t(key, params, language) {
+    const target = language || currentLanguage;
+    const dictionary = has(key, target) ? dictionaries[target] : dictionaries[CONFIG.DEFAULT_LANGUAGE];
+    const message = dictionary[key];
+
+    if (typeof message !== 'string') {
+      console.warn(`Missing message "${key}"`);
+      return key;
+    }
+
+    return interpolate(message, params);
+  }
+
+  /**
+   * A { ja, en } value in the current language, falling back to Japanese
+   * @param {Object|string} value
+   * @param {string} [language] a fixed language instead of the current one
+   * @returns {string}
+   */
+  function localize(value, language) {
+    if (!value || typeof value === 'string') return value || '';
+    return value[language || currentLanguage] || value[CONFIG.DEFAULT_LANGUAGE] || '';
+  }
+
+  /**
+   * Message for a page element: from the dictionaries, or the original markup
+   * @param {string} key
+   * @param {Object} [params]
+   * @returns {string|null} null when only the markup has it
+   */
+  function lookup(key, params) {
+    if (has(key) || Object.prototype.hasOwnProperty.call(dictionaries[CONFIG.DEFAULT_LANGUAGE], key)) {
+      return t(key, params);
+    }
+    return null;
+  }
+
+  /**
+   * Parse data-i18n-attr="alt:key; title:key2"
+   * @param {string} value
+   * @returns {{attribute: string, key: string}[]}
+   */
+  function parseAttributeKeys(value) {
+    return value.split(';')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(pair => pair.length === 2 && pair[0] && pair[1])
+      .map(pair => ({ attribute: pair[0], key: pair[1] }));
+  }
+
+  /**
+   * Remember the markup's own text before replacing it
+   * @param {HTMLElement} element
+   * @returns {Object}
+   */
+  function getOriginal(element) {
+    if (!originals.has(element)) {
+      const attributes = {};
+      if (element.hasAttribute('data-i18n-attr')) {
+        parseAttributeKeys(element.getAttribute('data-i18n-attr')).forEach(({ attribute }) => {
+          attributes[attribute] = element.getAttribute(attribute);
+        });
+      }
+
+      originals.set(element, {
+        text: element.textContent,
+        html: element.innerHTML,
+        attributes
+      });
+    }
+
+    return originals.get(element);
+  }
+
+  /**
+   * Params stored with data-i18n-params (JSON)
+   * @param {HTMLElement} element
+   * @returns {Object|undefined}
+   */
+  function readParams(element) {
+    if (!element.dataset.i18nParams) return undefined;
+
+    try {
+      return JSON.parse(element.dataset.i18nParams);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Translate one element
+   * @param {HTMLElement} element
+   */
+  function translateElement(element) {
+    const original = getOriginal(element);
+    const params = readParams(element);
+
+    if (element.dataset.i18n) {
+      const message = lookup(element.dataset.i18n, params);
+      element.textContent = message !== null ? message : original.text;
+    } else if (element.dataset.i18nHtml) {
+      const message = lookup(element.dataset.i18nHtml, params);
+      element.innerHTML = message !== null ? message : original.html;
+    }
+
+    if (element.hasAttribute('data-i18n-attr')) {
+      parseAttributeKeys(element.getAttribute('data-i18n-attr')).forEach(({ attribute, key }) => {
+        const message = lookup(key, params);
+        const value = message !== null ? message : original.attributes[attribute];
+
+        if (value === null || value === undefined) {
+          element.removeAttribute(attribute);
+        } else {
+          element.setAttribute(attribute, value);
+        }
+      });
+    }
+  }
+
+  /**
+   * Translate the marked elements in a subtree (e.g. after injecting HTML)
+   * @param {ParentNode} [root] defaults to the whole document
+   */
+  function translate(root) {
+    const scope = root || document;
+    const selector = '[data-i18n], [data-i18n-html], [data-i18n-attr]';
+    const elements = Array.from(scope.querySelectorAll(selector));
+
+    if (scope.matches && scope.matches(selector)) {
+      elements.unshift(scope);
+    }
+
+    elements.forEach(translateElement);
+  }
+
+  /**
+   * Set an element's text from a key, and keep it translated on language changes
+   * @param {HTMLElement} element
+   * @param {string} key
+   * @param {Object} [params]
+   */
+  function bind(element, key, params) {
+    element.removeAttribute('data-i18n-html');
+    element.dataset.i18n = key;
+
+    if (params) {
+      element.dataset.i18nParams = JSON.stringify(params);
+    } else {
+      delete element.dataset.i18nParams;
+    }
+
+    element.textContent = t(key, params);
+  }
+
+  /**
+   * Set an attribute (e.g. aria-label) from a key, and keep it translated on language changes
+   * @param {HTMLElement} element
+   * @param {string} attribute
+   * @param {string} key
+   */
+  function bindAttribute(element, attribute, key) {
+    const keys = element.hasAttribute('data-i18n-attr')
+      ? parseAttributeKeys(element.getAttribute('data-i18n-attr')).filter(item => item.attribute !== attribute)
+      : [];
+
+    keys.push({ attribute, key });
+    element.setAttribute('data-i18n-attr', keys.map(item => `${item.attribute}:${item.key}`).join('; '));
+    element.setAttribute(attribute, t(key));
+  }
+
+  /**
+   * Current language
+   * @returns {string}
+   */
+  function getLanguage() {
+    return currentLanguage;
+  }
+
+  /**
+   * Point the language switches at the other language
+   */
+  function renderSwitches() {
+    const next = currentLanguage === 'ja' ? 'en' : 'ja';
+
+    document.querySelectorAll('[data-language-switch]').forEach(link => {
+      const url = new URL(window.location.href);
+      url.searchParams.set(CONFIG.PARAM, next);
+
+      link.href = url.pathname + url.search + url.hash;
+      link.hreflang = next;
+      link.lang = next;
+      link.textContent = t(`language.${next}`);
+    });
+  }
+
+  /**
+   * Keep ?lang= in the address bar in step with the language, so shared links open in it
+   */
+  function syncUrl() {
+    if (!history.replaceState) return;
+
+    const url = new URL(window.location.href);
+    if (currentLanguage === CONFIG.DEFAULT_LANGUAGE) {
+      url.searchParams.delete(CONFIG.PARAM);
+    } else {
+      url.searchParams.set(CONFIG.PARAM, currentLanguage);
+    }
+
+    history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+  }
+
+  /**
+   * Switch the page language
+   * @param {string} language 'ja' | 'en'
+   */
+  function setLanguage(language) {
+    if (!isSupported(language)) {
+      console.warn(`Unsupported language "${language}"`);
+      return;
+    }
+
+    saveLanguage(language);
+    if (language === currentLanguage) return;
+
+    const previous = currentLanguage;
+    currentLanguage = language;
+
+    document.documentElement.lang = language;
+    translate(document);
+    renderSwitches();
+    syncUrl();
+
+    document.dispatchEvent(new CustomEvent('nasu:language-change', {
+      detail: { language, previous }
+    }));
+  }
+
+  /**
+   * Translate the page and wire up the language switches
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initLanguageSwitch(ctx) {
+    if (currentLanguage !== CONFIG.DEFAULT_LANGUAGE) {
+      translate(document);
+    }
+    renderSwitches();
+
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest('[data-language-switch]');
+      if (!link) return;
+
+      e.preventDefault();
+      setLanguage(link.hreflang);
+      window.NasuSite.track('language_switch', { language: currentLanguage }, link);
+    });
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('language-switch', { init: initLanguageSwitch });
+  }
+
+  // The language is known before the page renders
+  document.documentElement.lang = currentLanguage;
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.i18n = {
+    t,
+    localize,
+    has,
+    addMessages,
+    getLanguage,
+    setLanguage,
+    translate,
+    bind,
+    bindAttribute,
+    languages: CONFIG.LANGUAGES.slice()
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.i18n;
+  }
+
+})();
@@ -6,170 +6,294 @@
 (function() {
   'use strict';
 
+  // Shared helpers (js/tracking.js, js/error-reporter.js)
+  const { track, addBreadcrumb } = window.NasuSite;
+  const reportError = window.NasuSite.reportError('main');
+
   /**
    * Pricing tabs functionality
+   * Tabs and panels are built from the pricing catalog (data/pricing.json) and follow
+   * the WAI-ARIA tabs pattern. The selected plan is kept in the URL hash (#pricing-ticket).
+   * @param {Object} ctx feature context (js/site.js), rooted at .pricing__catalog
    */
-  function initPricingTabs() {
-    const tabs = document.querySelectorAll('.pricing__tab');
-    const contents = document.querySelectorAll('.pricing__content');
+  function initPricingTabs(ctx) {
+    const catalogRoot = ctx.root;
+    const pricing = window.NasuSite && window.NasuSite.pricing;
+    let isDestroyed = false;
+
+    if (!pricing) return;
+
+    pricing.load()
+      .then(catalog => {
+        if (isDestroyed) return;
+        renderPricingTabs(catalogRoot, catalog);
+        bindPricingTabs(catalogRoot, ctx);
+
+        // Re-render in place: a reinit would scroll to a plan named in the hash
+        ctx.on(document, 'nasu:language-change', () => translatePricingTabs(catalogRoot, catalog));
+      })
+      .catch(error => {
+        if (isDestroyed) return;
+        reportError('Failed to render pricing', error);
+        ctx.cleanup(showPricingError(catalogRoot));
+      });
 
-    if (tabs.length === 0 || contents.length === 0) return;
+    return () => {
+      isDestroyed = true;
+    };
+  }
 
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const targetTab = tab.dataset.tab;
-
-        // Remove active class from all tabs and contents
-        tabs.forEach(t => t.classList.remove('pricing__tab--active'));
-        contents.forEach(c => c.classList.remove('pricing__content--active'));
-
-        // Add active class to clicked tab and corresponding content
-        tab.classList.add('pricing__tab--active');
-        const targetContent = document.querySelector(`[data-content="${targetTab}"]`);
-        if (targetContent) {
-          targetContent.classList.add('pricing__content--active');
-        }
-      });
+  /**
+   * Build tab buttons and panels from the catalog
+   * @param {HTMLElement} catalogRoot
+   * @param {Object} catalog
+   */
+  function renderPricingTabs(catalogRoot, catalog) {
+    const tabList = catalogRoot.querySelector('.pricing__tabs');
+    const panels = catalogRoot.querySelector('.pricing__panels');
+
+    tabList.innerHTML = '';
+    panels.innerHTML = '';
+    tabList.setAttribute('role', 'tablist');
+    window.NasuSite.i18n.bindAttribute(tabList, 'aria-label', 'pricing.tabsLabel');
+
+    catalog.plans.forEach(plan => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'pricing__tab';
+      tab.id = `pricing-tab-${plan.id}`;
+      tab.dataset.tab = plan.id;
+      tab.textContent = window.NasuSite.pricing.planLabel(plan);
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-controls', `pricing-${plan.id}`);
+
+      const panel = window.NasuSite.pricing.renderPanel(catalog, plan);
+      panel.id = `pricing-${plan.id}`;
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', tab.id);
+      panel.tabIndex = 0;
+
+      tabList.appendChild(tab);
+      panels.appendChild(panel);
     });
+  }
 
-    // Keyboard navigation for tabs
-    tabs.forEach((tab, index) => {
-      tab.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowRight') {
-          e.preventDefault();
-          const nextTab = tabs[index + 1] || tabs[0];
-          nextTab.click();
-          nextTab.focus();
-        } else if (e.key === 'ArrowLeft') {
-          e.preventDefault();
-          const prevTab = tabs[index - 1] || tabs[tabs.length - 1];
-          prevTab.click();
-          prevTab.focus();
-        }
-      });
+  /**
+   * Replace the tab labels and panel contents with the current language, keeping the selection
+   * @param {HTMLElement} catalogRoot
+   * @param {Object} catalog
+   */
+  function translatePricingTabs(catalogRoot, catalog) {
+    catalog.plans.forEach(plan => {
+      const tab = document.getElementById(`pricing-tab-${plan.id}`);
+      const panel = document.getElementById(`pricing-${plan.id}`);
+      if (!tab || !panel) return;
+
+      tab.textContent = window.NasuSite.pricing.planLabel(plan);
+
+      const rendered = window.NasuSite.pricing.renderPanel(catalog, plan);
+      panel.innerHTML = '';
+      while (rendered.firstChild) {
+        panel.appendChild(rendered.firstChild);
+      }
     });
   }
 
   /**
-   * Phone number click tracking
+   * Tab for a URL hash such as "#pricing-ticket"
+   * @param {HTMLElement} catalogRoot
+   * @param {string} hash
+   * @returns {HTMLElement|null}
    */
-  function initPhoneTracking() {
-    const phoneLinks = document.querySelectorAll('a[href^="tel:"]');
-
-    phoneLinks.forEach(link => {
-      link.addEventListener('click', () => {
-        console.log('Phone number clicked:', link.href);
-        // Add analytics tracking here if needed
-        // Example: gtag('event', 'phone_click', { phone_number: link.href });
-      });
-    });
+  function findTabByHash(catalogRoot, hash) {
+    let id;
+    try {
+      id = decodeURIComponent((hash || '').replace(/^#/, ''));
+    } catch (error) {
+      return null;   // malformed escape, e.g. "#%E3"
+    }
+    if (!id) return null;
+
+    return Array.from(catalogRoot.querySelectorAll('[role="tab"]'))
+      .find(tab => tab.getAttribute('aria-controls') === id) || null;
   }
 
   /**
-   * LINE button click tracking
+   * Select a tab and show its panel
+   * Only the selected tab is in the tab order (roving tabindex)
+   * @param {NodeList} tabs
+   * @param {HTMLElement} selected
    */
-  function initLineTracking() {
-    const lineLinks = document.querySelectorAll('a[href*="lin.ee"]');
-
-    lineLinks.forEach(link => {
-      link.addEventListener('click', () => {
-        console.log('LINE button clicked:', link.href);
-        // Add analytics tracking here if needed
-        // Example: gtag('event', 'line_click');
-      });
+  function selectPricingTab(tabs, selected) {
+    tabs.forEach(tab => {
+      const isSelected = tab === selected;
+      const panel = document.getElementById(tab.getAttribute('aria-controls'));
+
+      tab.classList.toggle('pricing__tab--active', isSelected);
+      tab.setAttribute('aria-selected', String(isSelected));
+      tab.tabIndex = isSelected ? 0 : -1;
+
+      if (panel) {
+        panel.classList.toggle('pricing__content--active', isSelected);
+        panel.hidden = !isSelected;
+      }
     });
   }
 
   /**
-   * Form validation (if forms are added later)
+   * Switch panels on click and keyboard, and keep the URL hash in sync
+   * @param {HTMLElement} catalogRoot
+   * @param {Object} ctx feature context
    */
-  function initFormValidation() {
-    const forms = document.querySelectorAll('form');
+  function bindPricingTabs(catalogRoot, ctx) {
+    const tabs = catalogRoot.querySelectorAll('[role="tab"]');
 
-    forms.forEach(form => {
-      form.addEventListener('submit', (e) => {
-        e.preventDefault();
+    if (tabs.length === 0) return;
 
-        // Basic validation
-        const inputs = form.querySelectorAll('input[required], textarea[required]');
-        let isValid = true;
-
-        inputs.forEach(input => {
-          if (!input.value.trim()) {
-            isValid = false;
-            input.classList.add('error');
-            showError(input, '必須項目です');
-          } else {
-            input.classList.remove('error');
-            hideError(input);
-          }
+    const defaultTab = tabs[0];
 
-          // Email validation
-          if (input.type === 'email' && input.value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(input.value)) {
-              isValid = false;
-              input.classList.add('error');
-              showError(input, '有効なメールアドレスを入力してください');
-            }
-          }
+    const findTabByName = (name) => Array.from(tabs).find(tab => tab.dataset.tab === name) || null;
 
-          // Phone validation
-          if (input.type === 'tel' && input.value) {
-            const phoneRegex = /^[\d\-+()]+$/;
-            if (!phoneRegex.test(input.value)) {
-              isValid = false;
-              input.classList.add('error');
-              showError(input, '有効な電話番号を入力してください');
-            }
-          }
-        });
+    // Remember the selected tab in the current history entry, so back/forward can return to it
+    const recordTab = (tab) => {
+      if (history.replaceState) {
+        history.replaceState(Object.assign({}, history.state, { pricingTab: tab.dataset.tab }), '');
+      }
+    };
+
+    // Selection made by the visitor: a new history entry, so back restores the previous tab
+    const activate = (tab) => {
+      if (tab.getAttribute('aria-selected') === 'true') return;
+
+      selectPricingTab(tabs, tab);
+
+      if (history.pushState) {
+        history.pushState({ pricingTab: tab.dataset.tab }, '', `#${tab.getAttribute('aria-controls')}`);
+      }
+
+      track('pricing_tab_select', { plan: tab.dataset.tab }, tab);
+      addBreadcrumb('ui.tab', 'Pricing tab selected', { plan: tab.dataset.tab });
+    };
+
+    tabs.forEach((tab, index) => {
+      ctx.on(tab, 'click', () => activate(tab));
+
+      // Arrow keys move between tabs (wrapping), Home/End jump to the first/last tab
+      ctx.on(tab, 'keydown', (e) => {
+        let target = null;
 
-        if (isValid) {
-          console.log('Form submitted successfully');
-          // Submit form or send data via AJAX
+        if (e.key === 'ArrowRight') {
+          target = tabs[index + 1] || tabs[0];
+        } else if (e.key === 'ArrowLeft') {
+          target = tabs[index - 1] || tabs[tabs.length - 1];
+        } else if (e.key === 'Home') {
+          target = tabs[0];
+        } else if (e.key === 'End') {
+          target = tabs[tabs.length - 1];
         }
-      });
 
-      // Clear error on input
-      form.querySelectorAll('input, textarea').forEach(input => {
-        input.addEventListener('input', () => {
-          input.classList.remove('error');
-          hideError(input);
-        });
+        if (!target) return;
+
+        e.preventDefault();
+        activate(target);
+        target.focus();
       });
     });
+
+    // Restore the tab on back/forward, but only when the hash or the entry names one:
+    // other in-page links (navigation, FAQ) leave the selection alone
+    const restoreFromHistory = () => {
+      const state = history.state;
+      const tab = findTabByHash(catalogRoot, window.location.hash) ||
+        (state && state.pricingTab ? findTabByName(state.pricingTab) : null);
+
+      if (!tab) return;
+
+      selectPricingTab(tabs, tab);
+      if (!state || state.pricingTab !== tab.dataset.tab) {
+        recordTab(tab);
+      }
+    };
+    ctx.on(window, 'popstate', restoreFromHistory);
+    ctx.on(window, 'hashchange', restoreFromHistory);
+
+    // Links to a plan (e.g. "#pricing-ticket") open its tab before scrolling.
+    // Runs in the capture phase, ahead of the smooth scroll in navigation.js.
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest('a[href^="#"]');
+      const tab = link && findTabByHash(catalogRoot, link.getAttribute('href'));
+      if (!tab) return;
+
+      e.preventDefault();
+      activate(tab);
+      scrollToPricing(catalogRoot);
+    }, true);
+
+    // Initial state, e.g. when opened from a shared link or reloaded
+    const initialTab = findTabByHash(catalogRoot, window.location.hash);
+    const initialState = history.state;
+    const startTab = initialTab || (initialState && initialState.pricingTab && findTabByName(initialState.pricingTab)) || defaultTab;
+    selectPricingTab(tabs, startTab);
+    recordTab(startTab);
+
+    if (initialTab) {
+      scrollToPricing(catalogRoot);
+    }
   }
 
   /**
-   * Show form error message
+   * Scroll the pricing tables into view below the fixed header
+   * @param {HTMLElement} catalogRoot
    */
-  function showError(input, message) {
-    let errorElement = input.nextElementSibling;
-
-    if (!errorElement || !errorElement.classList.contains('error-message')) {
-      errorElement = document.createElement('span');
-      errorElement.className = 'error-message';
-      errorElement.style.cssText = `
-        display: block;
-        color: #D32F2F;
-        font-size: 12px;
-        margin-top: 4px;
-      `;
-      input.parentNode.insertBefore(errorElement, input.nextSibling);
+  function scrollToPricing(catalogRoot) {
+    const navigation = window.NasuSite && window.NasuSite.navigation;
+
+    if (navigation) {
+      navigation.scrollToElement(catalogRoot);
+    } else {
+      catalogRoot.scrollIntoView({ behavior: 'smooth' });
     }
+  }
 
-    errorElement.textContent = message;
+  /**
+   * Show a message when the catalog cannot be loaded
+   * @param {HTMLElement} catalogRoot
+   * @returns {Function} removes the message
+   */
+  function showPricingError(catalogRoot) {
+    const message = document.createElement('p');
+    message.className = 'pricing__error';
+    window.NasuSite.i18n.bind(message, 'pricing.loadError');
+    catalogRoot.appendChild(message);
+
+    return () => message.remove();
   }
 
   /**
-   * Hide form error message
+   * Phone number click tracking
+   * Delegated, so links added later are tracked too
+   * @param {Object} ctx feature context
    */
-  function hideError(input) {
-    const errorElement = input.nextElementSibling;
-    if (errorElement && errorElement.classList.contains('error-message')) {
-      errorElement.remove();
-    }
+  function initPhoneTracking(ctx) {
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest('a[href^="tel:"]');
+      if (!link) return;
+
+      track('phone_click', { phone_number: link.getAttribute('href').replace('tel:', '') }, link);
+    });
+  }
+
+  /**
+   * LINE button click tracking
+   * @param {Object} ctx feature context
+   */
+  function initLineTracking(ctx) {
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest('a[href*="lin.ee"]');
+      if (!link) return;
+
+      track('line_click', { link_url: link.href }, link);
+    });
   }
 
   /**
@@ -199,83 +323,15 @@
     });
   }
 
-  /**
-   * Copy to clipboard functionality
-   */
-  function initCopyToClipboard() {
-    const copyButtons = document.querySelectorAll('[data-copy]');
-
-    copyButtons.forEach(button => {
-      button.addEventListener('click', async () => {
-        const textToCopy = button.dataset.copy;
-
-        try {
-          await navigator.clipboard.writeText(textToCopy);
-          showCopyFeedback(button, 'コピーしました！');
-        } catch (err) {
-          console.error('Failed to copy:', err);
-          showCopyFeedback(button, 'コピーに失敗しました');
-        }
-      });
-    });
-  }
-
-  /**
-   * Show copy feedback
-   */
-  function showCopyFeedback(button, message) {
-    const feedback = document.createElement('span');
-    feedback.className = 'copy-feedback';
-    feedback.textContent = message;
-    feedback.style.cssText = `
-      position: absolute;
-      background-color: var(--color-dark-navy);
-      color: white;
-      padding: 8px 12px;
-      border-radius: 4px;
-      font-size: 12px;
-      top: -35px;
-      left: 50%;
-      transform: translateX(-50%);
-      white-space: nowrap;
-      opacity: 0;
-      animation: fadeInOut 2s ease-out;
-    `;
-
-    button.style.position = 'relative';
-    button.appendChild(feedback);
-
-    setTimeout(() => {
-      feedback.remove();
-    }, 2000);
-  }
-
-  /**
-   * Add fade in/out animation for copy feedback
-   */
-  function addCopyFeedbackStyles() {
-    const style = document.createElement('style');
-    style.textContent = `
-      @keyframes fadeInOut {
-        0% { opacity: 0; transform: translateX(-50%) translateY(-5px); }
-        20% { opacity: 1; transform: translateX(-50%) translateY(0); }
-        80% { opacity: 1; transform: translateX(-50%) translateY(0); }
-        100% { opacity: 0; transform: translateX(-50%) translateY(-5px); }
-      }
-    `;
-    document.head.appendChild(style);
-  }
-
   /**
    * Print page functionality
+   * @param {Object} ctx feature context
    */
-  function initPrint() {
-    const printButtons = document.querySelectorAll('[data-print]');
-
-    printButtons.forEach(button => {
-      button.addEventListener('click', () => {
+  function initPrint(ctx) {
+    ctx.on(document, 'click', (e) => {
+      if (e.target.closest('[data-print]')) {
         window.print();
-      });
+      }
     });
   }
 
@@ -288,13 +344,13 @@
 
   /**
    * Add mobile class to body
+   * @returns {Function} removes the class
    */
   function detectDevice() {
-    if (isMobileDevice()) {
-      document.body.classList.add('is-mobile');
-    } else {
-      document.body.classList.add('is-desktop');
-    }
+    const className = isMobileDevice() ? 'is-mobile' : 'is-desktop';
+    document.body.classList.add(className);
+
+    return () => document.body.classList.remove(className);
   }
 
   /**
@@ -306,26 +362,12 @@
     console.log('%cWebサイトに関するお問い合わせは: 0287-47-6181', 'font-size: 12px; color: #6C757D;');
   }
 
-  /**
-   * Error handling
-   */
-  function initErrorHandling() {
-    window.addEventListener('error', (e) => {
-      console.error('Error occurred:', e.message);
-      // Add error reporting to analytics if needed
-    });
-
-    window.addEventListener('unhandledrejection', (e) => {
-      console.error('Unhandled promise rejection:', e.reason);
-      // Add error reporting to analytics if needed
-    });
-  }
-
   /**
    * Page visibility tracking
+   * @param {Object} ctx feature context
    */
-  function initVisibilityTracking() {
-    document.addEventListener('visibilitychange', () => {
+  function initVisibilityTracking(ctx) {
+    ctx.on(document, 'visibilitychange', () => {
       if (document.hidden) {
         console.log('Page hidden');
         // Pause videos, animations, etc. if needed
@@ -337,61 +379,20 @@
   }
 
   /**
-   * Performance monitoring
-   */
-  function monitorPerformance() {
-    if ('performance' in window) {
-      window.addEventListener('load', () => {
-        setTimeout(() => {
-          const perfData = window.performance.timing;
-          const pageLoadTime = perfData.loadEventEnd - perfData.navigationStart;
-          console.log(`Page load time: ${pageLoadTime}ms`);
-
-          // Log to analytics if needed
-          // Example: gtag('event', 'timing_complete', {
-          //   name: 'load',
-          //   value: pageLoadTime
-          // });
-        }, 0);
-      });
-    }
-  }
-
-  /**
-   * Initialize all main features
+   * Register the main features (started by js/site.js)
    */
   function init() {
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        initPricingTabs();
-        initPhoneTracking();
-        initLineTracking();
-        initFormValidation();
-        initExternalLinks();
-        initCopyToClipboard();
-        addCopyFeedbackStyles();
-        initPrint();
-        detectDevice();
-        showConsoleMessage();
-        initErrorHandling();
-        initVisibilityTracking();
-        monitorPerformance();
-      });
-    } else {
-      initPricingTabs();
-      initPhoneTracking();
-      initLineTracking();
-      initFormValidation();
-      initExternalLinks();
-      initCopyToClipboard();
-      addCopyFeedbackStyles();
-      initPrint();
-      detectDevice();
-      showConsoleMessage();
-      initErrorHandling();
-      initVisibilityTracking();
-      monitorPerformance();
-    }
+    const site = window.NasuSite;
+
+    site.register('pricing-tabs', { root: '.pricing__catalog', init: initPricingTabs });
+    site.register('phone-tracking', { init: initPhoneTracking });
+    site.register('line-tracking', { init: initLineTracking });
+    site.register('external-links', { init: initExternalLinks });
+    site.register('print', { init: initPrint });
+    site.register('device-class', { init: detectDevice });
+    site.register('visibility-tracking', { init: initVisibilityTracking });
+
+    showConsoleMessage();
   }
 
   // Start initialization
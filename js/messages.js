@@ -0,0 +1,391 @@
+/**
+ * Messages
+ * Dictionaries for js/i18n.js.
+ *
+ * Japanese holds the messages built by scripts; the page's own Japanese text stays
+ * in index.html and is used whenever a key is missing here. English covers both.
+ * Placeholders such as {time} are filled in by t().
+ */
+
+(function() {
+  'use strict';
+
+  const i18n = window.NasuSite && window.NasuSite.i18n;
+  if (!i18n) return;
+
+  i18n.addMessages('ja', {
+    // Language switch
+    'language.ja': '日本語',
+    'language.en': 'English',
+
+    // Navigation
+    'nav.menuOpen': 'メニューを開く',
+    'nav.menuClose': 'メニューを閉じる',
+    'nav.scrollToTop': 'ページトップに戻る',
+
+    // Pricing
+    'pricing.tabsLabel': '料金プラン',
+    'pricing.loadError': '料金表を読み込めませんでした。お手数ですがお電話（0287-47-6181）でお問い合わせください。',
+    'pricing.unit.sessions': '{count}回',
+    'pricing.unit.months': '{count}ヶ月',
+    'pricing.heading.sessions': '回数',
+    'pricing.heading.months': '期間',
+    'pricing.yen': '{amount}円',
+    'pricing.minutes': '{minutes}分',
+    'pricing.listSeparator': '、',
+    'pricing.choice': '{list}から選択できます',
+    'pricing.price': '金額',
+    'pricing.perSession': '1回あたり',
+    'pricing.atMost': '{price}以下',
+
+    // Pricing simulator
+    'simulator.monthlyDetail': '月{size}回コース × {months}ヶ月',
+    'simulator.ticket': '{count}回券',
+    'simulator.leftover': '（{count}回分残ります）',
+    'simulator.empty': 'ご利用条件に合うプランがありません。お気軽にご相談ください。',
+    'simulator.recommend': 'おすすめは「{plan}」です',
+    'simulator.saving': '（{plan}より{amount}お得）',
+    'simulator.total': '合計',
+
+    // FAQ
+    'faq.count': '{count}件の質問が見つかりました',
+
+    // Add to calendar
+    'calendar.when': '{date} {start}〜{end}',
+    'calendar.eventTitle': '無料体験（なすしおばらパーソナルジム&整体ルーム）',
+    'calendar.eventDescription': '動きやすい服装でお越しください。ご変更・キャンセルはお電話（{phone}）でご連絡ください。',
+
+    // Forms
+    'form.required': '必須項目です',
+    'form.invalidEmail': '有効なメールアドレスを入力してください',
+    'form.invalidPhone': '電話番号の形式をご確認ください（例：0287-47-6181、090-1234-5678）',
+    'form.invalidKana': 'カタカナで入力してください',
+    'form.invalidPostalCode': '郵便番号は7桁の数字で入力してください（例：329-2753）',
+    'form.summary': '入力内容をご確認ください（{count}件）',
+    'form.summaryItem': '{label}：{message}',
+
+    // Booking form
+    'booking.pending': '送信中です…',
+    'booking.success': 'ご予約を受け付けました。担当者より折り返しご連絡いたします。',
+    'booking.queued': 'オフラインのため送信を保留しました。接続が戻り次第、自動で送信します。',
+    'booking.queuedSent': '保留していたご予約を送信しました。担当者より折り返しご連絡いたします。',
+    'booking.failure': '送信できませんでした。お手数ですがお電話（0287-47-6181）またはLINEでご予約ください。',
+
+    // Copy to clipboard
+    'copy.success': 'コピーしました！',
+    'copy.failure': 'コピーに失敗しました',
+    'copy.manual': '選択しました。長押しまたは Ctrl+C でコピーしてください',
+
+    // Business hours
+    'hours.weekdays': '日,月,火,水,木,金,土',
+    'hours.weekdayNames': '日曜日,月曜日,火曜日,水曜日,木曜日,金曜日,土曜日',
+    'hours.time': '{hours}時',
+    'hours.timeWithMinutes': '{hours}時{minutes}分',
+    'hours.date': '{month}月{day}日({weekday})',
+    'hours.range': '{from}〜{to}',
+    'hours.listSeparator': '、',
+    'hours.daySeparator': '・',
+    'hours.withNote': '{text}（{note}）',
+    'hours.none': 'なし',
+    'hours.closed': '休業',
+    'hours.open': '営業中',
+    'hours.until': '{time}まで',
+    'hours.beforeOpen': '営業時間外',
+    'hours.afterClose': '本日の営業は終了しました',
+    'hours.regularHoliday': '本日は定休日',
+    'hours.closure': '本日は休業日',
+    'hours.next': '次の営業開始：{when} {time}',
+    'hours.today': '本日',
+    'hours.tomorrow': '明日 {date}',
+
+    // Testimonials
+    'testimonials.age': '{age}代',
+    'testimonials.female': '女性',
+    'testimonials.male': '男性',
+    'testimonials.imageAlt': '{age}{gender}のお客様',
+    'testimonials.filterLabel': 'お悩みで絞り込む',
+    'testimonials.filterAll': 'すべて',
+    'testimonials.carousel': 'カルーセル',
+    'testimonials.carouselLabel': 'お客様の声',
+    'testimonials.slide': 'スライド',
+    'testimonials.slideLabel': '{total}件中{index}件目',
+    'testimonials.show': '{index}件目を表示',
+    'testimonials.previous': '前のお客様の声',
+    'testimonials.next': '次のお客様の声',
+    'testimonials.pause': '自動再生を停止',
+    'testimonials.play': '自動再生を開始',
+
+    // Hero video
+    'video.dataSaverNote': '通信量を節約するため、動画は自動で再生していません',
+    'video.play': '動画を再生',
+    'video.consentNote': 'この動画は{service}から読み込みます。読み込むと{service}にアクセス情報が送信されます',
+    'video.consentLoad': '{service}の動画を読み込む',
+    'video.pause': '動画を一時停止'
+  });
+
+  i18n.addMessages('en', {
+    // Language switch
+    'language.ja': '日本語',
+    'language.en': 'English',
+
+    // Page
+    'meta.title': 'Nasushiobara Personal Gym & Seitai Room | Serious Training in the Nasu Highlands',
+    'meta.description': 'Personal gym and seitai (bodywork) room in Nasushiobara, Tochigi. Nationally certified trainers support you from posture correction to body making. Free trial available!',
+
+    // Header and navigation
+    'header.logoAlt': 'Nasushiobara Personal Gym & Seitai Room logo',
+    'header.cta': 'Free trial',
+    'nav.features': 'Features',
+    'nav.trainer': 'Trainer',
+    'nav.expert': 'Medical partner',
+    'nav.testimonials': 'Testimonials',
+    'nav.trial': 'Free trial',
+    'nav.pricing': 'Pricing',
+    'nav.access': 'Access',
+    'nav.menuOpen': 'Open menu',
+    'nav.menuClose': 'Close menu',
+    'nav.scrollToTop': 'Back to top',
+
+    // Hero
+    'hero.videoTitle': 'Nasushiobara Personal Gym introduction video',
+    'hero.title': 'Balance body and mind<br>A serious personal gym<br class="sp-only">in Nasushiobara',
+    'hero.subtitle': 'Nationally certified trainers help you<br class="sp-only">build the body you want',
+    'hero.cta': 'Book a free trial',
+    'video.dataSaverNote': 'To save data, the video does not play automatically',
+    'video.play': 'Play video',
+    'video.consentNote': 'This video is loaded from {service}. Loading it sends access information to {service}',
+    'video.consentLoad': 'Load the {service} video',
+    'video.pause': 'Pause video',
+
+    // Problems
+    'problems.title': 'Do any of these sound familiar?',
+    'problems.1.alt': 'Healthy dieting',
+    'problems.1.text': 'I want to lose weight healthily<br>without rebounding',
+    'problems.2.alt': 'Poor posture',
+    'problems.2.text': 'People tell me my posture<br>is bad',
+    'problems.3.alt': 'Chronic back, shoulder and neck pain',
+    'problems.3.text': 'My back, shoulder or neck pain<br>never gets better',
+    'problems.4.alt': 'Figure not back after giving birth',
+    'problems.4.text': 'My figure has not come back<br>since giving birth',
+    'problems.5.alt': 'Conditioning for sports',
+    'problems.5.text': 'I do not know how to<br>condition my body for sports',
+    'problems.6.alt': 'Autonomic imbalance',
+    'problems.6.text': 'My autonomic nerves are off balance<br>and I tire easily',
+    'problems.messageTitle': 'If you answered yes',
+    'problems.messageText': 'we can help',
+
+    // Features
+    'features.title': 'Three reasons clients choose us',
+    'features.1.imageAlt': 'Pilates and training session',
+    'features.1.title': 'We start with posture and alignment',
+    'features.1.subtitle': 'Pilates × Training × Seitai',
+    'features.1.description': 'Training without correcting your posture first throws your balance off, makes it harder to tone up and makes pain more likely.<br><br>We check your body and use Pilates to build a well-aligned, beautiful body.',
+    'features.2.imageAlt': 'Trainer certificates',
+    'features.2.title': 'Coached by top-qualified professionals',
+    'features.2.subtitle': 'Body specialists with Japanese and international qualifications',
+    'features.2.description': 'You can always turn to a professional with Japanese and international qualifications, so you never have to guess.<br><br>Body making, postnatal care, pain relief, sports performance: we can help with any goal.',
+    'features.3.imageAlt': 'Nutrition coaching session',
+    'features.3.title': 'Nutrition coaching with a doctor',
+    'features.3.subtitle': 'Evidence-based nutrition support',
+    'features.3.description': 'We can ask a doctor for a blood test to check your current nutritional status.<br><br>Getting the nutrients you need leads to reliable results.',
+
+    // Trainer
+    'trainer.title': 'Meet your personal trainer',
+    'trainer.imageAlt': 'Hiroshi Kawakami, owner',
+    'trainer.role': 'Owner',
+    'trainer.name': 'Hiroshi Kawakami',
+    'trainer.description': 'From everyday clients to Olympic athletes,<br><strong class="trainer__highlight">he has coached more than 10,000 clients</strong>, and uses that experience<br>to give you the most effective training for you!',
+    'trainer.clientsLabel': 'Clients coached',
+    'trainer.qualifications': 'Top-level qualifications',
+    'trainer.qualificationsLabel': 'Japan and abroad',
+
+    // Expert
+    'expert.title': 'Recommended by a local specialist',
+    'expert.imageAlt': 'Dr. Akihiro Kawashima, director of Kawashima Cardiovascular Clinic',
+    'expert.clinic': 'Director, Kawashima Cardiovascular Clinic',
+    'expert.name': 'Akihiro Kawashima <span class="expert__title">MD</span>',
+    'expert.quote': '"One of the few gyms that offers training grounded in solid technique and medical knowledge!"',
+    'expert.description': 'As a medical professional, I think highly of the approach at Nasushiobara Personal Gym & Seitai Room. A method that improves the body from its foundations will help many people become healthier.',
+
+    // Testimonials
+    'testimonials.title': 'Many happy words<br class="sp-only">from our clients',
+    'testimonials.age': '{age}s',
+    'testimonials.female': 'Female',
+    'testimonials.male': 'Male',
+    'testimonials.imageAlt': 'Client ({gender}, {age})',
+    'testimonials.filterLabel': 'Filter by concern',
+    'testimonials.filterAll': 'All',
+    'testimonials.carousel': 'carousel',
+    'testimonials.carouselLabel': 'Client testimonials',
+    'testimonials.slide': 'slide',
+    'testimonials.slideLabel': '{index} of {total}',
+    'testimonials.show': 'Show testimonial {index}',
+    'testimonials.previous': 'Previous testimonial',
+    'testimonials.next': 'Next testimonial',
+    'testimonials.pause': 'Stop autoplay',
+    'testimonials.play': 'Start autoplay',
+
+    // Pricing
+    'pricing.title': 'Courses and pricing',
+    'pricing.intro': 'Choose from a monthly membership, session tickets or a subscription',
+    'pricing.tabsLabel': 'Pricing plans',
+    'pricing.loadError': 'The price list could not be loaded. Please call us at 0287-47-6181.',
+    'pricing.plans.monthly.label': 'Monthly',
+    'pricing.plans.ticket.label': 'Tickets',
+    'pricing.plans.ticket.notes.0': 'Tickets do not expire',
+    'pricing.plans.ticket.notes.1': 'Can also be used by pairs',
+    'pricing.plans.subscription.label': 'Subscription',
+    'pricing.plans.subscription.notes.0': 'Unlimited sessions each month',
+    'pricing.unit.sessions': '{count} sessions',
+    'pricing.unit.months': '{count} months',
+    'pricing.heading.sessions': 'Sessions',
+    'pricing.heading.months': 'Period',
+    'pricing.yen': '¥{amount}',
+    'pricing.minutes': '{minutes} min',
+    'pricing.listSeparator': ', ',
+    'pricing.choice': 'Choose from {list}',
+    'pricing.price': 'Price',
+    'pricing.perSession': 'Per session',
+    'pricing.atMost': '{price} or less',
+
+    // Pricing simulator
+    'simulator.title': 'Price simulator',
+    'simulator.intro': 'Choose the session length, frequency and period to see the best-value plan',
+    'simulator.length': 'Session length',
+    'simulator.frequency': 'Sessions per month',
+    'simulator.unitTimes': 'times',
+    'simulator.months': 'Period',
+    'simulator.unitMonths': 'months',
+    'simulator.share': 'Copy a link to this quote',
+    'simulator.monthlyDetail': '{size} sessions/month × {months} months',
+    'simulator.ticket': '{count}-session ticket',
+    'simulator.leftover': ' ({count} sessions left over)',
+    'simulator.empty': 'No plan matches these conditions. Feel free to ask us.',
+    'simulator.recommend': 'We recommend "{plan}"',
+    'simulator.saving': ' ({amount} less than {plan})',
+    'simulator.total': 'Total',
+
+    // FAQ
+    'faq.title': 'Frequently asked questions',
+    'faq.searchLabel': 'Search the questions',
+    'faq.searchPlaceholder': 'e.g. parking',
+    'faq.count': '{count} matching questions',
+    'faq.empty': 'No matching questions. Feel free to call us.',
+
+    // Add to calendar
+    'calendar.heading': 'Your trial session',
+    'calendar.when': '{date}, {start}–{end}',
+    'calendar.download': 'Add to calendar (.ics)',
+    'calendar.google': 'Google Calendar',
+    'calendar.outlook': 'Outlook',
+    'calendar.eventTitle': 'Free trial (Nasushiobara Personal Gym & Seitai Room)',
+    'calendar.eventDescription': 'Please come in comfortable clothes. To change or cancel, call us on {phone}.',
+
+    // Call to action and booking
+    'cta.title': 'Book a free trial',
+    'cta.subtitle': 'Try a session and find<br class="sp-only">the plan that suits you',
+    'cta.phoneLabel': 'Book by phone now',
+    'cta.lineLabel': 'Open 24 hours',
+    'cta.lineButton': 'Book on LINE',
+    'booking.title': 'Book a trial online',
+    'booking.intro': 'Send us your preferred dates and times. We will get back to you.',
+    'booking.name': 'Name<span class="booking__required">Required</span>',
+    'booking.furigana': 'Name in katakana<span class="booking__required">Required</span>',
+    'booking.phone': 'Phone number<span class="booking__required">Required</span>',
+    'booking.postalCode': 'Postal code',
+    'booking.postalCodeHint': 'Postal codes in Tochigi fill in the address automatically',
+    'booking.address': 'Address',
+    'booking.date1': 'First choice of date and time<span class="booking__required">Required</span>',
+    'booking.date2': 'Second choice of date and time',
+    'booking.concern': 'Concerns and requests',
+    'booking.concernPlaceholder': 'e.g. I want to ease my back pain, get my figure back after giving birth',
+    'booking.submit': 'Book a trial',
+    'booking.pending': 'Sending…',
+    'booking.success': 'Your booking has been received. We will get back to you shortly.',
+    'booking.queued': 'You are offline, so your booking is on hold. It will be sent automatically when you are back online.',
+    'booking.queuedSent': 'Your booking on hold has been sent. We will get back to you shortly.',
+    'booking.failure': 'Your booking could not be sent. Please book by phone (0287-47-6181) or LINE.',
+
+    // Forms
+    'form.required': 'This field is required',
+    'form.invalidEmail': 'Please enter a valid email address',
+    'form.invalidPhone': 'Please check the phone number format (e.g. 0287-47-6181, 090-1234-5678)',
+    'form.invalidKana': 'Please enter your name in katakana',
+    'form.invalidPostalCode': 'Please enter a 7-digit postal code (e.g. 329-2753)',
+    'form.summary': 'Please check the following ({count})',
+    'form.summaryItem': '{label}: {message}',
+
+    // Copy to clipboard
+    'copy.success': 'Copied!',
+    'copy.failure': 'Could not copy',
+    'copy.manual': 'Selected. Long-press or press Ctrl+C to copy',
+
+    // Access
+    'access.title': 'Access',
+    'access.address': 'Address',
+    'access.addressText': '2-8-18 Mishima, Nasushiobara, Tochigi',
+    'access.hours': 'Opening hours',
+    'access.closed': 'Closed',
+    'access.phone': 'Phone',
+    'access.copy': 'Copy',
+    'access.copyAddress': 'Copy the address',
+    'access.copyPhone': 'Copy the phone number',
+    'access.mapNotice': 'The map is loaded from Google Maps.<br>Loading it sends access information to Google.',
+    'access.mapLoad': 'Show map',
+    'access.mapOpen': 'Open in Google Maps',
+    'access.mapTitle': 'Map to Nasushiobara Personal Gym & Seitai Room',
+
+    // Business hours
+    'hours.weekdays': 'Sun,Mon,Tue,Wed,Thu,Fri,Sat',
+    'hours.weekdayNames': 'Sunday,Monday,Tuesday,Wednesday,Thursday,Friday,Saturday',
+    'hours.time': '{hours}:00',
+    'hours.timeWithMinutes': '{hours}:{minutes}',
+    'hours.date': '{weekday} {month}/{day}',
+    'hours.range': '{from}–{to}',
+    'hours.listSeparator': ', ',
+    'hours.daySeparator': ', ',
+    'hours.withNote': '{text} ({note})',
+    'hours.none': 'None',
+    'hours.closed': 'closed',
+    'hours.open': 'Open now',
+    'hours.until': 'Until {time}',
+    'hours.beforeOpen': 'Closed now',
+    'hours.afterClose': 'Closed for today',
+    'hours.regularHoliday': 'Closed today (regular holiday)',
+    'hours.closure': 'Closed today',
+    'hours.next': 'Opens {when} at {time}',
+    'hours.today': 'today',
+    'hours.tomorrow': 'tomorrow, {date}',
+
+    // Footer and consent
+    'footer.consent': 'Cookie and external service settings',
+    'share.button': 'Share this page',
+    'share.panelLabel': 'Ways to share',
+    'share.copyLink': 'Copy link',
+    'share.line': 'Send on LINE',
+    'share.mail': 'Send by email',
+    'footer.copyright': 'Copyright © Nasushiobara Personal Gym & Seitai Room All Rights Reserved.',
+    'consent.bannerLabel': 'About external services',
+    'consent.bannerText': 'This site uses external services for analytics and to show the introduction video (Vimeo) and the map (Google Maps). Only the services you allow are loaded. You can change this at any time from the bottom of the page.',
+    'consent.settings': 'Settings',
+    'consent.reject': 'Necessary only',
+    'consent.acceptAll': 'Allow all',
+    'consent.dialogTitle': 'External service settings',
+    'consent.necessary': 'Necessary',
+    'consent.necessaryDescription': 'Used to show the page and to save these settings.',
+    'consent.analytics': 'Analytics',
+    'consent.analyticsDescription': 'Collects statistics, such as use of the phone and LINE buttons, to improve the site.',
+    'consent.media': 'Introduction video (Vimeo)',
+    'consent.mediaDescription': 'Loads the introduction video at the top of the page from Vimeo.',
+    'consent.maps': 'Map (Google Maps)',
+    'consent.mapsDescription': 'Loads the map in the access section from Google Maps.',
+    'consent.cancel': 'Cancel',
+    'consent.save': 'Save'
+  });
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = i18n;
+  }
+
+})();
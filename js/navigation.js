@@ -6,66 +6,105 @@
 (function() {
   'use strict';
 
+  // Shared helper (js/error-reporter.js)
+  const { addBreadcrumb } = window.NasuSite;
+
   /**
-   * Smooth scroll to anchor links
+   * Subscribe to the shared scroll/resize scheduler (js/scroll-scheduler.js)
+   * @param {Function} callback
+   * @param {Object} [options]
+   * @returns {Function} unsubscribe
    */
-  function initSmoothScroll() {
-    // Select all anchor links that start with #
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
+  function onScroll(callback, options) {
+    const scheduler = window.NasuSite && window.NasuSite.scroll;
+    return scheduler ? scheduler.subscribe(callback, options) : () => {};
+  }
 
-    anchorLinks.forEach(link => {
-      link.addEventListener('click', function(e) {
-        const href = this.getAttribute('href');
+  /**
+   * Height of the fixed header, used as the scroll offset
+   * @returns {number}
+   */
+  function getHeaderOffset() {
+    const header = document.getElementById('header');
+    return header ? header.offsetHeight : 0;
+  }
 
-        // Ignore empty anchors
-        if (href === '#' || href === '#!') {
-          e.preventDefault();
-          return;
-        }
+  /**
+   * Scroll an element into view below the fixed header
+   * @param {Element} target
+   * @param {string} [behavior] 'smooth' (default) or 'auto'
+   */
+  function scrollToElement(target, behavior) {
+    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - getHeaderOffset();
 
-        const target = document.querySelector(href);
+    window.scrollTo({
+      top: targetPosition,
+      behavior: behavior || 'smooth'
+    });
+  }
 
-        if (target) {
-          e.preventDefault();
+  /**
+   * Smooth scroll to anchor links
+   * Links whose click was already handled elsewhere (defaultPrevented) are left alone
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initSmoothScroll(ctx) {
+    // Delegated, so anchor links added later scroll smoothly too
+    ctx.on(document, 'click', (e) => {
+      const link = e.target.closest('a[href^="#"]');
+      if (!link || e.defaultPrevented) return;
+
+      const href = link.getAttribute('href');
+
+      // Ignore empty anchors
+      if (href === '#' || href === '#!') {
+        e.preventDefault();
+        return;
+      }
 
-          // Get header height for offset
-          const header = document.getElementById('header');
-          const headerHeight = header ? header.offsetHeight : 0;
-          const targetPosition = target.offsetTop - headerHeight;
+      let target = null;
+      try {
+        target = document.querySelector(href);
+      } catch (error) {
+        // Not a valid selector, e.g. "#1"
+        return;
+      }
 
-          // Smooth scroll to target
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
+      if (target) {
+        e.preventDefault();
+        addBreadcrumb('navigation', 'Anchor link clicked', { href });
 
-          // Close mobile menu if open
-          closeMobileMenu();
+        // Close mobile menu if open, first so the scroll lock is released
+        // (focus moves to the target below)
+        closeMobileMenu({ restoreFocus: false });
 
-          // Update URL without scrolling
-          if (history.pushState) {
-            history.pushState(null, null, href);
-          } else {
-            window.location.hash = href;
-          }
+        // Smooth scroll to target, below the header
+        scrollToElement(target);
 
-          // Focus target for accessibility
-          target.focus({ preventScroll: true });
+        // Update URL without scrolling
+        if (history.pushState) {
+          history.pushState(null, null, href);
+        } else {
+          window.location.hash = href;
         }
-      });
+
+        // Focus target for accessibility
+        target.focus({ preventScroll: true });
+      }
     });
   }
 
   /**
    * Mobile menu toggle
+   * @param {Object} ctx feature context
    */
-  function initMobileMenu() {
+  function initMobileMenu(ctx) {
     const mobileToggle = document.getElementById('mobileToggle');
     const nav = document.getElementById('nav');
 
     if (!mobileToggle || !nav) return;
 
-    mobileToggle.addEventListener('click', (e) => {
+    ctx.on(mobileToggle, 'click', (e) => {
       e.preventDefault();
       e.stopPropagation();
       const isOpen = nav.classList.contains('active');
@@ -78,7 +117,7 @@
     });
 
     // Close menu when clicking outside
-    document.addEventListener('click', (e) => {
+    ctx.on(document, 'click', (e) => {
       if (nav.classList.contains('active') &&
           !nav.contains(e.target) &&
           !mobileToggle.contains(e.target)) {
@@ -87,68 +126,206 @@
     });
 
     // Close menu on escape key
-    document.addEventListener('keydown', (e) => {
+    ctx.on(document, 'keydown', (e) => {
       if (e.key === 'Escape' && nav.classList.contains('active')) {
         closeMobileMenu();
       }
     });
 
     // Close menu on window resize to desktop
-    window.addEventListener('resize', () => {
-      if (window.innerWidth > 1023 && nav.classList.contains('active')) {
-        closeMobileMenu();
+    ctx.cleanup(onScroll(state => {
+      if (state.width > 1023 && nav.classList.contains('active')) {
+        closeMobileMenu({ restoreFocus: false });
+      }
+    }, { scroll: false, resize: true }));
+
+    // Never leave the page locked behind a menu that no longer works
+    return () => closeMobileMenu({ restoreFocus: false });
+  }
+
+  // Mobile menu modal state
+  let lockedScrollY = 0;
+  let lockedBodyStyles = null;
+  let inertElements = [];
+
+  /**
+   * Lock page scrolling (works on iOS Safari, where overflow: hidden on body is ignored)
+   * The body is fixed in place at the current scroll position and the scrollbar
+   * width is padded so the page does not shift.
+   */
+  function lockScroll() {
+    if (lockedBodyStyles) return;
+
+    const body = document.body;
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+
+    lockedScrollY = window.pageYOffset;
+    lockedBodyStyles = {
+      position: body.style.position,
+      top: body.style.top,
+      left: body.style.left,
+      right: body.style.right,
+      width: body.style.width,
+      overflow: body.style.overflow,
+      paddingRight: body.style.paddingRight
+    };
+
+    body.style.position = 'fixed';
+    body.style.top = `-${lockedScrollY}px`;
+    body.style.left = '0';
+    body.style.right = '0';
+    body.style.width = '100%';
+    body.style.overflow = 'hidden';
+
+    if (scrollbarWidth > 0) {
+      body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+  }
+
+  /**
+   * Undo lockScroll and return to the previous scroll position
+   */
+  function unlockScroll() {
+    if (!lockedBodyStyles) return;
+
+    Object.assign(document.body.style, lockedBodyStyles);
+    lockedBodyStyles = null;
+
+    // Jump back without the smooth scroll set on <html>
+    window.scrollTo({ top: lockedScrollY, behavior: 'instant' });
+  }
+
+  /**
+   * Make everything except the given elements inert
+   * Siblings along the path from each kept element up to <body> are marked inert.
+   * @param {Element[]} keep
+   */
+  function setPageInert(keep) {
+    keep.forEach(element => {
+      let node = element;
+
+      while (node && node !== document.body) {
+        const parent = node.parentElement;
+        if (!parent) break;
+
+        Array.from(parent.children).forEach(sibling => {
+          const isKept = keep.some(kept => sibling.contains(kept));
+          if (!isKept && !sibling.inert && !inertElements.includes(sibling)) {
+            sibling.inert = true;
+            inertElements.push(sibling);
+          }
+        });
+
+        node = parent;
       }
     });
   }
 
+  /**
+   * Remove the inert state added by setPageInert
+   */
+  function clearPageInert() {
+    inertElements.forEach(element => {
+      element.inert = false;
+    });
+    inertElements = [];
+  }
+
+  /**
+   * Focusable elements inside the open menu, starting with the toggle
+   * @returns {HTMLElement[]}
+   */
+  function getMenuFocusables() {
+    const mobileToggle = document.getElementById('mobileToggle');
+    const nav = document.getElementById('nav');
+    const focusables = Array.from(nav.querySelectorAll('a[href], button:not([disabled])'))
+      .filter(element => element.offsetParent !== null || element.getClientRects().length > 0);
+
+    return [mobileToggle].concat(focusables);
+  }
+
+  /**
+   * Keep Tab / Shift+Tab inside the open menu
+   * (for browsers without inert support)
+   * @param {KeyboardEvent} e
+   */
+  function trapMenuFocus(e) {
+    if (e.key !== 'Tab') return;
+
+    const focusables = getMenuFocusables();
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (!focusables.includes(document.activeElement)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
   /**
    * Open mobile menu
+   * Behaves as a modal: scroll lock, inert background, focus moved into the menu and trapped
    */
   function openMobileMenu() {
     const mobileToggle = document.getElementById('mobileToggle');
     const nav = document.getElementById('nav');
 
-    if (!nav || !mobileToggle) return;
+    if (!nav || !mobileToggle || nav.classList.contains('active')) return;
 
     nav.classList.add('active');
     mobileToggle.classList.add('active');
-    mobileToggle.setAttribute('aria-label', 'メニューを閉じる');
+    addBreadcrumb('ui.menu', 'Mobile menu opened');
+    window.NasuSite.i18n.bindAttribute(mobileToggle, 'aria-label', 'nav.menuClose');
     mobileToggle.setAttribute('aria-expanded', 'true');
 
-    // Calculate scrollbar width to prevent layout shift
-    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    lockScroll();
+    setPageInert([nav, mobileToggle]);
 
-    // Prevent body scroll when menu is open
-    document.body.style.overflow = 'hidden';
+    // Create overlay (after setPageInert, so it can still be clicked)
+    createOverlay();
 
-    // Add padding to compensate for scrollbar removal
-    if (scrollbarWidth > 0) {
-      document.body.style.paddingRight = `${scrollbarWidth}px`;
-    }
+    document.addEventListener('keydown', trapMenuFocus);
 
-    // Create overlay
-    createOverlay();
+    const firstLink = getMenuFocusables()[1];
+    if (firstLink) {
+      firstLink.focus();
+    }
   }
 
   /**
    * Close mobile menu
+   * @param {{restoreFocus?: boolean}} [options] return focus to #mobileToggle (default true)
    */
-  function closeMobileMenu() {
+  function closeMobileMenu(options) {
     const mobileToggle = document.getElementById('mobileToggle');
     const nav = document.getElementById('nav');
 
-    if (!nav || !mobileToggle) return;
+    if (!nav || !mobileToggle || !nav.classList.contains('active')) return;
+
+    addBreadcrumb('ui.menu', 'Mobile menu closed');
 
     nav.classList.remove('active');
     mobileToggle.classList.remove('active');
-    mobileToggle.setAttribute('aria-label', 'メニューを開く');
+    window.NasuSite.i18n.bindAttribute(mobileToggle, 'aria-label', 'nav.menuOpen');
     mobileToggle.setAttribute('aria-expanded', 'false');
 
-    // Restore body scroll
-    document.body.style.overflow = '';
+    document.removeEventListener('keydown', trapMenuFocus);
+    clearPageInert();
+    unlockScroll();
 
     // Remove overlay
     removeOverlay();
+
+    const restoreFocus = !options || options.restoreFocus !== false;
+    if (restoreFocus && mobileToggle.getClientRects().length > 0) {
+      mobileToggle.focus();
+    }
   }
 
   /**
@@ -169,7 +346,7 @@
       z-index: 9999;
     `;
 
-    overlay.addEventListener('click', closeMobileMenu);
+    overlay.addEventListener('click', () => closeMobileMenu());
     document.body.appendChild(overlay);
   }
 
@@ -183,58 +360,192 @@
     }
   }
 
+  // Scroll spy settings
+  const SCROLL_SPY = {
+    LINE: 0.3,            // default for data-spy-line on #nav: the current section is the one crossing this line (share of the viewport below the header)
+    REBUILD_DELAY: 150    // ms to wait after a resize before re-measuring
+  };
+
+  let currentSectionId = null;
+
   /**
-   * Highlight active navigation link based on scroll position
+   * Id of the section currently in view
+   * @returns {string|null}
    */
-  function initActiveNavLink() {
+  function getCurrentSection() {
+    return currentSectionId;
+  }
+
+  /**
+   * Nav link that represents a section
+   * Sections without their own link use data-spy-link, or the closest linked section above them.
+   * @param {NodeList} sections
+   * @param {HTMLElement} section
+   * @returns {HTMLElement|null}
+   */
+  function findNavLinkForSection(sections, section) {
+    const findLink = (id) => document.querySelector(`.header__nav-link[href="#${id}"]`);
+
+    if (section.dataset.spyLink) {
+      return findLink(section.dataset.spyLink);
+    }
+
+    const list = Array.from(sections);
+    for (let i = list.indexOf(section); i >= 0; i--) {
+      const link = findLink(list[i].id);
+      if (link) return link;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace the URL hash with the current section (history.replaceState)
+   * A hash pointing inside the section, e.g. #pricing-ticket in #pricing, is kept.
+   * @param {HTMLElement} section
+   */
+  function replaceHashWithSection(section) {
+    if (!history.replaceState) return;
+
+    const hash = window.location.hash;
+    let hashTarget = null;
+    try {
+      hashTarget = hash ? document.querySelector(hash) : null;
+    } catch (error) {
+      hashTarget = null;
+    }
+
+    if (hashTarget && section.contains(hashTarget)) return;
+
+    // The first section (hero) is the top of the page: drop the hash
+    const isFirst = section === document.querySelector('section[id]');
+    const url = isFirst ? window.location.pathname + window.location.search : `#${section.id}`;
+    history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * Scroll spy
+   * Marks the nav link of the section in view with aria-current="location" and dispatches
+   * "nasu:section-change" on document ({ id, section, previous }).
+   * With data-spy-hash on #nav, the URL hash follows the current section.
+   * @param {Object} ctx feature context, rooted at #nav ({ spyHash, spyLine })
+   */
+  function initScrollSpy(ctx) {
     const navLinks = document.querySelectorAll('.header__nav-link');
     const sections = document.querySelectorAll('section[id]');
 
-    if (navLinks.length === 0 || sections.length === 0) return;
+    if (sections.length === 0 || !('IntersectionObserver' in window)) return;
 
-    window.addEventListener('scroll', () => {
-      const scrollPosition = window.pageYOffset + 150; // offset for header
+    const updateHash = ctx.options.spyHash;
+    const intersecting = new Set();
+    let observer = null;
+    let rebuildTimer = null;
 
-      sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.offsetHeight;
-        const sectionId = section.getAttribute('id');
+    const setCurrent = (section) => {
+      const id = section ? section.id : null;
+      if (id === currentSectionId) return;
 
-        if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-          navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.getAttribute('href') === `#${sectionId}`) {
-              link.classList.add('active');
-            }
-          });
+      const previous = currentSectionId;
+      currentSectionId = id;
+
+      const activeLink = section ? findNavLinkForSection(sections, section) : null;
+      navLinks.forEach(link => {
+        if (link === activeLink) {
+          link.setAttribute('aria-current', 'location');
+        } else {
+          link.removeAttribute('aria-current');
         }
       });
-    }, { passive: true });
+
+      if (section && updateHash) {
+        replaceHashWithSection(section);
+      }
+
+      document.dispatchEvent(new CustomEvent('nasu:section-change', {
+        detail: { id, section, previous }
+      }));
+    };
+
+    const build = () => {
+      if (observer) observer.disconnect();
+      intersecting.clear();
+
+      // A 1px line just below the header, measured from the real header height
+      const headerHeight = getHeaderOffset();
+      const line = Math.round(headerHeight + (window.innerHeight - headerHeight) * ctx.options.spyLine);
+
+      observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            intersecting.add(entry.target);
+          } else {
+            intersecting.delete(entry.target);
+          }
+        });
+
+        // Sections follow each other, so at most one crosses the line (the last one wins otherwise)
+        const current = Array.from(sections).filter(section => intersecting.has(section)).pop() || null;
+        setCurrent(current);
+      }, {
+        rootMargin: `-${line}px 0px -${Math.max(0, window.innerHeight - line - 1)}px 0px`,
+        threshold: 0
+      });
+
+      sections.forEach(section => observer.observe(section));
+    };
+
+    const scheduleBuild = () => {
+      clearTimeout(rebuildTimer);
+      rebuildTimer = setTimeout(build, SCROLL_SPY.REBUILD_DELAY);
+    };
+
+    build();
+    ctx.cleanup(addActiveNavStyles());
+
+    // Re-measure when the viewport or the header size changes
+    ctx.cleanup(onScroll(scheduleBuild, { scroll: false, resize: true }));
+    const header = document.getElementById('header');
+    if (header && 'ResizeObserver' in window) {
+      const resizeObserver = new ResizeObserver(scheduleBuild);
+      resizeObserver.observe(header);
+      ctx.cleanup(() => resizeObserver.disconnect());
+    }
+
+    return () => {
+      clearTimeout(rebuildTimer);
+      if (observer) observer.disconnect();
+      navLinks.forEach(link => link.removeAttribute('aria-current'));
+      currentSectionId = null;
+    };
   }
 
   /**
-   * Add active class styling
+   * Styling for the current section's nav link
+   * @returns {Function} removes the styles
    */
   function addActiveNavStyles() {
     const style = document.createElement('style');
     style.textContent = `
-      .header__nav-link.active {
+      .header__nav-link[aria-current="location"] {
         color: var(--color-nasu-violet);
         background-color: var(--color-soft-gray);
       }
     `;
     document.head.appendChild(style);
+
+    return () => style.remove();
   }
 
   /**
    * Scroll to top button
+   * @param {Object} ctx feature context
    */
-  function initScrollToTop() {
+  function initScrollToTop(ctx) {
     // Create button
     const scrollTopBtn = document.createElement('button');
     scrollTopBtn.id = 'scrollToTop';
     scrollTopBtn.innerHTML = '↑';
-    scrollTopBtn.setAttribute('aria-label', 'ページトップに戻る');
+    window.NasuSite.i18n.bindAttribute(scrollTopBtn, 'aria-label', 'nav.scrollToTop');
     scrollTopBtn.style.cssText = `
       position: fixed;
       bottom: 30px;
@@ -256,16 +567,16 @@
 
     document.body.appendChild(scrollTopBtn);
 
-    // Show/hide button based on scroll position
-    window.addEventListener('scroll', () => {
-      if (window.pageYOffset > 300) {
-        scrollTopBtn.style.opacity = '1';
-        scrollTopBtn.style.visibility = 'visible';
-      } else {
-        scrollTopBtn.style.opacity = '0';
-        scrollTopBtn.style.visibility = 'hidden';
-      }
-    }, { passive: true });
+    // Show/hide button based on scroll position (styles are only written when it changes)
+    let isVisible = false;
+    ctx.cleanup(onScroll(state => {
+      const shouldShow = state.scrollY > 300;
+      if (shouldShow === isVisible) return;
+
+      isVisible = shouldShow;
+      scrollTopBtn.style.opacity = shouldShow ? '1' : '0';
+      scrollTopBtn.style.visibility = shouldShow ? 'visible' : 'hidden';
+    }, { immediate: true }));
 
     // Scroll to top on click
     scrollTopBtn.addEventListener('click', () => {
@@ -283,16 +594,19 @@
     scrollTopBtn.addEventListener('mouseleave', () => {
       scrollTopBtn.style.transform = 'translateY(0)';
     });
+
+    return () => scrollTopBtn.remove();
   }
 
   /**
    * Handle keyboard navigation
+   * @param {Object} ctx feature context
    */
-  function initKeyboardNav() {
+  function initKeyboardNav(ctx) {
     const navLinks = document.querySelectorAll('.header__nav-link');
 
     navLinks.forEach((link, index) => {
-      link.addEventListener('keydown', (e) => {
+      ctx.on(link, 'keydown', (e) => {
         // Arrow key navigation
         if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
           e.preventDefault();
@@ -314,57 +628,63 @@
     // Add min-height to body to prevent content jump
     const viewportHeight = window.innerHeight;
     document.body.style.minHeight = `${viewportHeight}px`;
+
+    return () => {
+      document.body.style.minHeight = '';
+    };
   }
 
   /**
    * Handle hash on page load (deep linking)
+   * @returns {Function} cancels the pending scroll
    */
   function handleInitialHash() {
-    if (window.location.hash) {
-      // Small delay to ensure page is loaded
-      setTimeout(() => {
-        const target = document.querySelector(window.location.hash);
-        if (target) {
-          const header = document.getElementById('header');
-          const headerHeight = header ? header.offsetHeight : 0;
-          const targetPosition = target.offsetTop - headerHeight;
-
-          window.scrollTo({
-            top: targetPosition,
-            behavior: 'smooth'
-          });
-        }
-      }, 100);
-    }
+    if (!window.location.hash) return;
+
+    // Small delay to ensure page is loaded
+    const timer = setTimeout(() => {
+      let target = null;
+      try {
+        target = document.querySelector(window.location.hash);
+      } catch (error) {
+        return;
+      }
+
+      if (target) {
+        scrollToElement(target);
+      }
+    }, 100);
+
+    return () => clearTimeout(timer);
   }
 
   /**
-   * Initialize all navigation features
+   * Register the navigation features (started by js/site.js)
    */
   function init() {
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        initSmoothScroll();
-        initMobileMenu();
-        initActiveNavLink();
-        addActiveNavStyles();
-        initScrollToTop();
-        initKeyboardNav();
-        preventLayoutShift();
-        handleInitialHash();
-      });
-    } else {
-      initSmoothScroll();
-      initMobileMenu();
-      initActiveNavLink();
-      addActiveNavStyles();
-      initScrollToTop();
-      initKeyboardNav();
-      preventLayoutShift();
-      handleInitialHash();
-    }
+    const site = window.NasuSite;
+
+    site.register('smooth-scroll', { init: initSmoothScroll });
+    site.register('mobile-menu', { init: initMobileMenu });
+    site.register('scroll-spy', {
+      root: '#nav',
+      defaults: { spyHash: false, spyLine: SCROLL_SPY.LINE },
+      init: initScrollSpy
+    });
+    site.register('scroll-to-top', { init: initScrollToTop });
+    site.register('keyboard-nav', { init: initKeyboardNav });
+    site.register('layout-shift-guard', { init: preventLayoutShift });
+    site.register('initial-hash', { init: handleInitialHash });
   }
 
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.navigation = {
+    scrollToElement,
+    getHeaderOffset,
+    getCurrentSection
+  };
+
   // Start initialization
   init();
 
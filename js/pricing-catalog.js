@@ -0,0 +1,307 @@
+/**
+ * Pricing Catalog
+ * Loads the price catalog (data/pricing.json), validates it and renders pricing tables
+ */
+
+(function() {
+  'use strict';
+
+  const DEFAULT_SOURCE = './data/pricing.json';
+
+  // Plan types and how their option sizes are labelled (keys in js/messages.js)
+  const PLAN_TYPES = {
+    monthly: { unit: 'pricing.unit.sessions', heading: 'pricing.heading.sessions' },
+    ticket: { unit: 'pricing.unit.sessions', heading: 'pricing.heading.sessions' },
+    subscription: { unit: 'pricing.unit.months', heading: 'pricing.heading.months' }
+  };
+
+  let catalogPromise = null;
+
+  // Shared helper (js/i18n.js)
+  const { t } = window.NasuSite.i18n;
+
+  /**
+   * Format a number as yen
+   * @param {number} value
+   * @returns {string}
+   */
+  function formatYen(value) {
+    return t('pricing.yen', { amount: Math.round(value).toLocaleString('ja-JP') });
+  }
+
+  /**
+   * Session length, e.g. "60分"
+   * @param {number} duration minutes
+   * @param {string} [language] a fixed language instead of the page language
+   * @returns {string}
+   */
+  function formatDuration(duration, language) {
+    return t('pricing.minutes', { minutes: duration }, language);
+  }
+
+  /**
+   * Label for a plan option, e.g. "4回" or "6ヶ月"
+   * @param {Object} plan
+   * @param {Object} option
+   * @param {string} [language] a fixed language instead of the page language
+   * @returns {string}
+   */
+  function optionLabel(plan, option, language) {
+    return t(PLAN_TYPES[plan.type].unit, { count: option.size }, language);
+  }
+
+  /**
+   * Plan name: the translation from js/messages.js, or the catalog's own label
+   * @param {Object} plan
+   * @param {string} [language] a fixed language instead of the page language
+   * @returns {string}
+   */
+  function planLabel(plan, language) {
+    const key = `pricing.plans.${plan.id}.label`;
+    return window.NasuSite.i18n.has(key, language) ? t(key, null, language) : plan.label;
+  }
+
+  /**
+   * Plan notes, translated like planLabel
+   * @param {Object} plan
+   * @returns {string[]}
+   */
+  function planNotes(plan) {
+    return (plan.notes || []).map((note, index) => {
+      const key = `pricing.plans.${plan.id}.notes.${index}`;
+      return window.NasuSite.i18n.has(key) ? t(key) : note;
+    });
+  }
+
+  /**
+   * Price per session for an option
+   * Subscriptions are unlimited, so they show the published ceiling (perSessionCeiling)
+   * @param {Object} plan
+   * @param {Object} option
+   * @param {number} duration session length in minutes
+   * @returns {number}
+   */
+  function perSession(plan, option, duration) {
+    if (plan.type === 'subscription') {
+      return plan.perSessionCeiling[duration];
+    }
+
+    return option.prices[duration] / option.size;
+  }
+
+  /**
+   * Check the catalog and throw on the first inconsistency
+   * @param {Object} catalog
+   * @returns {Object} the same catalog
+   */
+  function validateCatalog(catalog) {
+    const fail = (message) => {
+      throw new Error(`Invalid pricing catalog: ${message}`);
+    };
+
+    if (!catalog || !Array.isArray(catalog.durations) || catalog.durations.length === 0) {
+      fail('"durations" must be a non-empty array');
+    }
+    if (!Array.isArray(catalog.plans) || catalog.plans.length === 0) {
+      fail('"plans" must be a non-empty array');
+    }
+
+    const ids = new Set();
+
+    catalog.plans.forEach((plan, index) => {
+      const name = plan.id || `#${index}`;
+
+      if (!plan.id || !plan.label) {
+        fail(`plan ${name} needs an "id" and a "label"`);
+      }
+      if (ids.has(plan.id)) {
+        fail(`duplicate plan id "${plan.id}"`);
+      }
+      ids.add(plan.id);
+
+      if (!PLAN_TYPES[plan.type]) {
+        fail(`plan "${name}" has unknown type "${plan.type}"`);
+      }
+      if (plan.type === 'subscription') {
+        catalog.durations.forEach(duration => {
+          const ceiling = (plan.perSessionCeiling || {})[duration];
+          if (typeof ceiling !== 'number' || !(ceiling > 0)) {
+            fail(`plan "${name}" is missing a "perSessionCeiling" for ${duration}分`);
+          }
+        });
+      }
+      if (!Array.isArray(plan.options) || plan.options.length === 0) {
+        fail(`plan "${name}" has no options`);
+      }
+
+      plan.options.forEach((option, optionIndex) => {
+        if (!Number.isInteger(option.size) || option.size <= 0) {
+          fail(`plan "${name}" has an option with invalid size "${option.size}"`);
+        }
+        // The simulator's cheapestCover expects the smallest pack first
+        if (optionIndex > 0 && option.size <= plan.options[optionIndex - 1].size) {
+          fail(`plan "${name}" options must be in ascending size order (${option.size} after ${plan.options[optionIndex - 1].size})`);
+        }
+
+        const prices = option.prices || {};
+
+        catalog.durations.forEach(duration => {
+          const price = prices[duration];
+          if (typeof price !== 'number' || !(price > 0)) {
+            fail(`plan "${name}" option ${option.size} is missing a price for ${duration}分`);
+          }
+        });
+
+        Object.keys(prices).forEach(duration => {
+          if (!catalog.durations.includes(Number(duration))) {
+            fail(`plan "${name}" option ${option.size} has a price for unknown duration ${duration}分`);
+          }
+        });
+      });
+    });
+
+    // The subscription's published ceiling ("以下") may not be above what any counted option
+    // costs per session, or the subscription would be shown as the dearer way to train
+    catalog.plans.filter(plan => plan.type === 'subscription').forEach(subscription => {
+      catalog.plans.filter(plan => plan.type !== 'subscription').forEach(plan => {
+        plan.options.forEach(option => {
+          catalog.durations.forEach(duration => {
+            const price = perSession(plan, option, duration);
+            if (price < subscription.perSessionCeiling[duration]) {
+              fail(`plan "${subscription.id}" ceiling for ${duration}分 (${subscription.perSessionCeiling[duration]}) ` +
+                `is above plan "${plan.id}" option ${option.size} (${price} per session)`);
+            }
+          });
+        });
+      });
+    });
+
+    return catalog;
+  }
+
+  /**
+   * Load and validate the catalog (cached after the first call)
+   * @param {string} [source]
+   * @returns {Promise<Object>}
+   */
+  function loadCatalog(source) {
+    if (!catalogPromise) {
+      const root = document.querySelector('[data-pricing-src]');
+      const url = source || (root && root.dataset.pricingSrc) || DEFAULT_SOURCE;
+
+      catalogPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load pricing catalog: HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(validateCatalog);
+    }
+
+    return catalogPromise;
+  }
+
+  /**
+   * Create a table cell
+   */
+  function createCell(tag, text, attributes) {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    Object.keys(attributes || {}).forEach(name => cell.setAttribute(name, attributes[name]));
+    return cell;
+  }
+
+  /**
+   * Render the content panel (features + table) for a plan
+   * @param {Object} catalog
+   * @param {Object} plan
+   * @returns {HTMLElement}
+   */
+  function renderPanel(catalog, plan) {
+    const panel = document.createElement('div');
+    panel.className = 'pricing__content';
+    panel.dataset.content = plan.id;
+
+    // Features list
+    const features = document.createElement('div');
+    features.className = 'pricing__features';
+
+    const separator = t('pricing.listSeparator');
+    const lines = [
+      t('pricing.choice', { list: plan.options.map(option => optionLabel(plan, option)).join(separator) }),
+      t('pricing.choice', { list: catalog.durations.map(duration => formatDuration(duration)).join(separator) })
+    ].concat(planNotes(plan));
+
+    lines.forEach(line => {
+      const p = document.createElement('p');
+      p.textContent = line;
+      features.appendChild(p);
+    });
+
+    // Table
+    const wrapper = document.createElement('div');
+    wrapper.className = 'pricing__table-wrapper';
+
+    const table = document.createElement('table');
+    table.className = 'pricing__table';
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    const subHeadRow = document.createElement('tr');
+
+    headRow.appendChild(createCell('th', t(PLAN_TYPES[plan.type].heading), { rowspan: 2 }));
+    catalog.durations.forEach(duration => {
+      headRow.appendChild(createCell('th', formatDuration(duration), { colspan: 2 }));
+      subHeadRow.appendChild(createCell('th', t('pricing.price')));
+      subHeadRow.appendChild(createCell('th', t('pricing.perSession')));
+    });
+
+    thead.appendChild(headRow);
+    thead.appendChild(subHeadRow);
+
+    const tbody = document.createElement('tbody');
+
+    plan.options.forEach(option => {
+      const row = document.createElement('tr');
+      row.appendChild(createCell('td', optionLabel(plan, option)));
+
+      catalog.durations.forEach(duration => {
+        row.appendChild(createCell('td', formatYen(option.prices[duration])));
+        const price = formatYen(perSession(plan, option, duration));
+        row.appendChild(createCell('td', plan.type === 'subscription' ? t('pricing.atMost', { price }) : price));
+      });
+
+      tbody.appendChild(row);
+    });
+
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+
+    panel.appendChild(features);
+    panel.appendChild(wrapper);
+
+    return panel;
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.pricing = {
+    load: loadCatalog,
+    validate: validateCatalog,
+    renderPanel,
+    optionLabel,
+    planLabel,
+    planNotes,
+    perSession,
+    formatYen,
+    formatDuration
+  };
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.pricing;
+  }
+
+})();
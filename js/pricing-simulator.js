@@ -0,0 +1,356 @@
+/**
+ * Pricing Simulator
+ * Compares the plans in the pricing catalog for a given usage
+ */
+
+(function() {
+  'use strict';
+
+  // Query parameters used to share a pre-filled quote
+  const PARAMS = {
+    length: 'sim_len',
+    frequency: 'sim_freq',
+    months: 'sim_months'
+  };
+
+  const DEFAULTS = {
+    length: 60,
+    frequency: 4,
+    months: 3
+  };
+
+  // Shared helpers (js/tracking.js, js/error-reporter.js, js/i18n.js)
+  const { track } = window.NasuSite;
+  const reportError = window.NasuSite.reportError('pricing-simulator');
+  const { t } = window.NasuSite.i18n;
+
+  /**
+   * Find the cheapest combination of options covering at least `need` units
+   * @param {{size: number, price: number}[]} options
+   * @param {number} need
+   * @returns {{price: number, covered: number, picks: Object<number, number>}}
+   */
+  function cheapestCover(options, need) {
+    // best[n] is the cheapest combination covering at least n units
+    const best = new Array(need + 1).fill(null);
+    best[0] = { price: 0, covered: 0, count: 0, picks: {} };
+
+    for (let units = 1; units <= need; units++) {
+      options.forEach(option => {
+        const previous = best[Math.max(0, units - option.size)];
+        if (!previous) return;
+
+        const price = previous.price + option.price;
+        const count = previous.count + 1;
+
+        // Prefer fewer, larger packs when the price is the same
+        if (!best[units] || price < best[units].price ||
+            (price === best[units].price && count < best[units].count)) {
+          const picks = Object.assign({}, previous.picks);
+          picks[option.size] = (picks[option.size] || 0) + 1;
+          best[units] = { price, covered: previous.covered + option.size, count, picks };
+        }
+      });
+    }
+
+    return best[need];
+  }
+
+  /**
+   * Describe a combination of picks, e.g. "10回券 × 2"
+   * @param {Object<number, number>} picks
+   * @param {string} unitKey message key taking {count}
+   * @returns {string}
+   */
+  function describePicks(picks, unitKey) {
+    return Object.keys(picks)
+      .sort((a, b) => b - a)
+      .map(size => `${t(unitKey, { count: size })} × ${picks[size]}`)
+      .join(' + ');
+  }
+
+  /**
+   * Quote a single plan for the given usage
+   * @param {Object} plan
+   * @param {{length: number, frequency: number, months: number}} input
+   * @returns {Object|null} null if the plan cannot cover the usage
+   */
+  function quotePlan(plan, input) {
+    const sessions = input.frequency * input.months;
+    const options = plan.options.map(option => ({
+      size: option.size,
+      price: option.prices[input.length]
+    }));
+
+    if (plan.type === 'monthly') {
+      // The smallest monthly course that covers the visits per month
+      const option = options.find(o => o.size >= input.frequency);
+      if (!option) return null;
+
+      return {
+        plan,
+        total: option.price * input.months,
+        perSession: option.price * input.months / sessions,
+        detail: t('simulator.monthlyDetail', { size: option.size, months: input.months })
+      };
+    }
+
+    if (plan.type === 'ticket') {
+      const cover = cheapestCover(options, sessions);
+      const leftover = cover.covered - sessions;
+
+      return {
+        plan,
+        total: cover.price,
+        perSession: cover.price / sessions,
+        detail: describePicks(cover.picks, 'simulator.ticket') +
+          (leftover > 0 ? t('simulator.leftover', { count: leftover }) : '')
+      };
+    }
+
+    const cover = cheapestCover(options, input.months);
+
+    return {
+      plan,
+      total: cover.price,
+      perSession: cover.price / sessions,
+      detail: describePicks(cover.picks, 'pricing.unit.months')
+    };
+  }
+
+  /**
+   * Quote every plan in the catalog, cheapest first
+   * @param {Object} catalog
+   * @param {{length: number, frequency: number, months: number}} input
+   * @returns {Object[]}
+   */
+  function simulate(catalog, input) {
+    return catalog.plans
+      .map(plan => quotePlan(plan, input))
+      .filter(Boolean)
+      .sort((a, b) => a.total - b.total);
+  }
+
+  /**
+   * Clamp a value to an integer within range, falling back when invalid
+   */
+  function toInteger(value, min, max, fallback) {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+  }
+
+  /**
+   * Read the form inputs
+   * @param {HTMLFormElement} form
+   * @param {Object} catalog
+   */
+  function readInput(form, catalog) {
+    const length = parseInt(form.elements.sessionLength.value, 10);
+
+    return {
+      length: catalog.durations.includes(length) ? length : DEFAULTS.length,
+      frequency: toInteger(form.elements.frequency.value, 1, 20, DEFAULTS.frequency),
+      months: toInteger(form.elements.months.value, 1, 24, DEFAULTS.months)
+    };
+  }
+
+  /**
+   * Pre-fill the form from the URL query string
+   * @param {HTMLFormElement} form
+   */
+  function restoreFromUrl(form) {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.has(PARAMS.length)) {
+      form.elements.sessionLength.value = params.get(PARAMS.length);
+    }
+    if (params.has(PARAMS.frequency)) {
+      form.elements.frequency.value = toInteger(params.get(PARAMS.frequency), 1, 20, DEFAULTS.frequency);
+    }
+    if (params.has(PARAMS.months)) {
+      form.elements.months.value = toInteger(params.get(PARAMS.months), 1, 24, DEFAULTS.months);
+    }
+  }
+
+  /**
+   * Build a shareable URL for the given input
+   * @param {{length: number, frequency: number, months: number}} input
+   * @returns {URL}
+   */
+  function buildShareUrl(input) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(PARAMS.length, input.length);
+    url.searchParams.set(PARAMS.frequency, input.frequency);
+    url.searchParams.set(PARAMS.months, input.months);
+    return url;
+  }
+
+  /**
+   * Store the input in the URL without adding a history entry
+   */
+  function syncUrl(input) {
+    const url = buildShareUrl(input);
+
+    if (history.replaceState) {
+      history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+    }
+  }
+
+  /**
+   * Render quotes into the result element
+   * @param {HTMLElement} result
+   * @param {Object[]} quotes
+   */
+  function renderResult(result, quotes) {
+    const { formatYen, planLabel } = window.NasuSite.pricing;
+
+    result.innerHTML = '';
+
+    if (quotes.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'simulator__empty';
+      empty.textContent = t('simulator.empty');
+      result.appendChild(empty);
+      return;
+    }
+
+    const [best, nextBest] = quotes;
+
+    const summary = document.createElement('p');
+    summary.className = 'simulator__summary';
+    summary.textContent = t('simulator.recommend', { plan: planLabel(best.plan) });
+    if (nextBest && nextBest.total > best.total) {
+      summary.textContent += t('simulator.saving', {
+        plan: planLabel(nextBest.plan),
+        amount: formatYen(nextBest.total - best.total)
+      });
+    }
+    result.appendChild(summary);
+
+    const list = document.createElement('ul');
+    list.className = 'simulator__plans';
+
+    quotes.forEach((quote, index) => {
+      const item = document.createElement('li');
+      item.className = 'simulator__plan';
+      if (index === 0) {
+        item.classList.add('simulator__plan--best');
+      }
+
+      item.innerHTML = `
+        <p class="simulator__plan-name"></p>
+        <p class="simulator__plan-detail"></p>
+        <dl class="simulator__plan-prices">
+          <div><dt class="simulator__plan-total-label"></dt><dd class="simulator__plan-total"></dd></div>
+          <div><dt class="simulator__plan-per-session-label"></dt><dd class="simulator__plan-per-session"></dd></div>
+        </dl>
+      `;
+      item.querySelector('.simulator__plan-name').textContent = planLabel(quote.plan);
+      item.querySelector('.simulator__plan-total-label').textContent = t('simulator.total');
+      item.querySelector('.simulator__plan-per-session-label').textContent = t('pricing.perSession');
+      item.querySelector('.simulator__plan-detail').textContent = quote.detail;
+      item.querySelector('.simulator__plan-total').textContent = formatYen(quote.total);
+      item.querySelector('.simulator__plan-per-session').textContent = formatYen(quote.perSession);
+
+      list.appendChild(item);
+    });
+
+    result.appendChild(list);
+  }
+
+  /**
+   * Initialize the pricing simulator
+   * @param {Object} ctx feature context (js/site.js), rooted at .simulator__form
+   */
+  function initPricingSimulator(ctx) {
+    const form = ctx.root;
+    const result = document.querySelector('.simulator__result');
+    const pricing = window.NasuSite && window.NasuSite.pricing;
+    let isDestroyed = false;
+
+    if (!result || !pricing) return;
+
+    pricing.load()
+      .then(catalog => {
+        if (!isDestroyed) bindSimulator(form, result, catalog, ctx);
+      }, () => {
+        // No catalog: the pricing tabs report the error, the simulator just stays hidden
+        form.closest('.simulator').hidden = true;
+      })
+      .catch(error => reportError('Pricing simulator failed', error));
+
+    return () => {
+      isDestroyed = true;
+    };
+  }
+
+  /**
+   * Wire the form to the catalog and render the first result
+   * @param {HTMLFormElement} form
+   * @param {HTMLElement} result
+   * @param {Object} catalog
+   * @param {Object} ctx feature context
+   */
+  function bindSimulator(form, result, catalog, ctx) {
+    const shareButton = document.querySelector('.simulator__share');
+
+    restoreFromUrl(form);
+
+    const update = (shouldSyncUrl) => {
+      const input = readInput(form, catalog);
+      renderResult(result, simulate(catalog, input));
+
+      if (shouldSyncUrl) {
+        syncUrl(input);
+      }
+
+      // Keep the copy button pointing at the current quote
+      if (shareButton) {
+        const shareUrl = buildShareUrl(input);
+        shareUrl.hash = 'pricing-simulator';
+        shareButton.dataset.copy = shareUrl.href;
+      }
+    };
+
+    ctx.on(form, 'input', () => update(true));
+    ctx.on(form, 'change', () => update(true));
+    ctx.on(form, 'submit', (e) => e.preventDefault());
+    ctx.on(document, 'nasu:language-change', () => update(false));
+
+    if (shareButton) {
+      ctx.on(shareButton, 'click', () => {
+        const input = readInput(form, catalog);
+        track('simulator_share', {
+          session_length: input.length,
+          frequency: input.frequency,
+          months: input.months
+        }, shareButton);
+      });
+    }
+
+    update(false);
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('pricing-simulator', {
+      root: '.simulator__form',
+      init: initPricingSimulator
+    });
+  }
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      simulate,
+      cheapestCover
+    };
+  }
+
+})();
@@ -1,125 +1,223 @@
 /**
  * Scroll Animations using Intersection Observer API
  * Triggers animations when elements come into viewport
+ *
+ *   <div data-animate="slide-up" data-animate-delay="200" data-animate-repeat>
+ *
+ * Types are registered with window.NasuSite.animations.register() (see css/animations.css
+ * for the built-in ones and the other data attributes).
  */
 
 (function() {
   'use strict';
 
+  /**
+   * Subscribe to the shared scroll/resize scheduler (js/scroll-scheduler.js)
+   * @param {Function} callback
+   * @param {Object} [options]
+   * @returns {Function} unsubscribe
+   */
+  function onScroll(callback, options) {
+    const scheduler = window.NasuSite && window.NasuSite.scroll;
+    return scheduler ? scheduler.subscribe(callback, options) : () => {};
+  }
+
+  // Defaults for elements without their own data-animate-* settings
+  const ANIMATION_DEFAULTS = {
+    threshold: 0.1,                       // trigger when 10% of element is visible
+    rootMargin: '0px 0px -100px 0px'      // trigger slightly before element enters viewport
+  };
+
+  // Animation types: name -> { threshold?, enter?, leave? }
+  // The visual states live in CSS ([data-animate="name"] and .animate); enter/leave are
+  // optional hooks for effects that need script.
+  const animationTypes = new Map();
+
+  let isAnimating = false;   // the scroll-animations feature is running
+
+  /**
+   * Register an animation type
+   *
+   *   window.NasuSite.animations.register('blur-in', {
+   *     threshold: 0.3,
+   *     enter(element, settings) { ... },
+   *     leave(element, settings) { ... }
+   *   });
+   *
+   * Elements with data-animate="blur-in" pick it up (also when already on the page).
+   * @param {string} name
+   * @param {{threshold?: number, enter?: Function, leave?: Function}} [definition]
+   */
+  function registerAnimationType(name, definition) {
+    animationTypes.set(name, Object.assign({}, definition));
+
+    if (isAnimating && window.NasuSite.reinit) {
+      window.NasuSite.reinit('scroll-animations');
+    }
+  }
+
+  ['fade-in', 'slide-up', 'slide-in-left', 'slide-in-right', 'scale-in'].forEach(name => {
+    animationTypes.set(name, {});
+  });
+  animationTypes.set('reveal', { threshold: 0.2 });
+
+  /**
+   * Read a number from a data attribute
+   * @param {string|undefined} value
+   * @param {number|null} fallback
+   * @returns {number|null}
+   */
+  function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : number;
+  }
+
+  /**
+   * Settings of an animated element from its data attributes
+   * @param {HTMLElement} element
+   * @returns {{type: string, definition: Object, delay: number, duration: number|null, threshold: number, repeat: boolean, group: HTMLElement|null}}
+   */
+  function readAnimationSettings(element) {
+    const data = element.dataset;
+    const definition = animationTypes.get(data.animate) || {};
+
+    return {
+      type: data.animate,
+      definition,
+      delay: readNumber(data.animateDelay, 0),
+      duration: readNumber(data.animateDuration, null),
+      threshold: readNumber(data.animateThreshold, definition.threshold !== undefined ? definition.threshold : ANIMATION_DEFAULTS.threshold),
+      repeat: 'animateRepeat' in data && data.animateRepeat !== 'false',
+      group: element.parentElement ? element.parentElement.closest('[data-animate-stagger]') : null
+    };
+  }
+
   /**
    * Initialize scroll animations
+   * Elements with data-animate are animated when they scroll into view, once by default.
+   * @param {Object} ctx feature context (js/site.js)
+   * @returns {Function} stops observing
    */
-  function initScrollAnimations() {
+  function initScrollAnimations(ctx) {
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const settingsByElement = new Map();
+    const observers = new Map();   // threshold -> IntersectionObserver
+
+    const animatedElements = Array.from(document.querySelectorAll('[data-animate]'));
+
+    animatedElements.forEach(element => {
+      const settings = readAnimationSettings(element);
+
+      if (!animationTypes.has(settings.type)) {
+        console.warn(`Unknown animation type "${settings.type}"`, element);
+      }
+
+      // One-time animations that already ran (e.g. before a reinit) stay as they are
+      if (element.classList.contains('animate') && !settings.repeat) return;
+
+      if (settings.duration !== null) {
+        element.style.transitionDuration = `${settings.duration}ms`;
+        ctx.cleanup(() => {
+          element.style.transitionDuration = '';
+        });
+      }
+
+      settingsByElement.set(element, settings);
+    });
+
     // Check if Intersection Observer is supported
     if (!('IntersectionObserver' in window)) {
       console.log('Intersection Observer not supported, animations disabled');
-      // Fallback: show all elements immediately
-      const animatedElements = document.querySelectorAll('.fade-in, .slide-up, .slide-in-left, .slide-in-right, .scale-in');
-      animatedElements.forEach(el => {
-        el.style.opacity = '1';
-        el.style.transform = 'none';
-      });
       return;
     }
 
-    // Intersection Observer options
-    const observerOptions = {
-      root: null, // use viewport
-      rootMargin: '0px 0px -100px 0px', // trigger slightly before element enters viewport
-      threshold: 0.1 // trigger when 10% of element is visible
-    };
+    isAnimating = true;
+    document.documentElement.classList.add('has-scroll-animations');
 
-    // Create observer instance
-    const observer = new IntersectionObserver(handleIntersection, observerOptions);
+    const handle = (entries, observer) => {
+      handleIntersection(entries, observer, settingsByElement, prefersReducedMotion);
+    };
 
-    // Select all elements to animate
-    const animatedElements = document.querySelectorAll(
-      '.fade-in, .slide-up, .slide-in-left, .slide-in-right, .scale-in'
-    );
+    settingsByElement.forEach((settings, element) => {
+      let observer = observers.get(settings.threshold);
+      if (!observer) {
+        observer = new IntersectionObserver(handle, {
+          root: null, // use viewport
+          rootMargin: ANIMATION_DEFAULTS.rootMargin,
+          threshold: settings.threshold
+        });
+        observers.set(settings.threshold, observer);
+      }
 
-    // Observe each element
-    animatedElements.forEach(element => {
       observer.observe(element);
     });
+
+    return () => {
+      isAnimating = false;
+      observers.forEach(observer => observer.disconnect());
+      settingsByElement.forEach((settings, element) => {
+        element.style.transitionDelay = '';
+      });
+      document.documentElement.classList.remove('has-scroll-animations');
+    };
   }
 
   /**
    * Handle intersection events
+   * Elements of a [data-animate-stagger] group that enter together animate one after
+   * another, in document order.
    * @param {IntersectionObserverEntry[]} entries
    * @param {IntersectionObserver} observer
+   * @param {Map} settingsByElement
+   * @param {boolean} prefersReducedMotion
    */
-  function handleIntersection(entries, observer) {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        // Element is in viewport, add animate class
-        entry.target.classList.add('animate');
-
-        // Optional: unobserve after animation to improve performance
-        // Uncomment if you want one-time animations only
-        // observer.unobserve(entry.target);
-      } else {
-        // Optional: remove animate class when element leaves viewport
-        // This allows re-animation when scrolling back
-        // Uncomment if you want repeating animations
-        // entry.target.classList.remove('animate');
-      }
-    });
-  }
+  function handleIntersection(entries, observer, settingsByElement, prefersReducedMotion) {
+    const groupPositions = new Map();   // group -> number of its elements entering in this batch
 
-  /**
-   * Number counter animation
-   * Animates numbers from 0 to target value
-   */
-  function initNumberCounters() {
-    const counters = document.querySelectorAll('.trainer__stat-number');
+    entries
+      .filter(entry => settingsByElement.has(entry.target))
+      .sort((a, b) => (a.target.compareDocumentPosition(b.target) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+      .forEach(entry => {
+        const element = entry.target;
+        const settings = settingsByElement.get(element);
+        const hooks = settings.definition;
 
-    const observerOptions = {
-      root: null,
-      threshold: 0.5
-    };
-
-    const counterObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting && !entry.target.classList.contains('counted')) {
-          animateCounter(entry.target);
-          entry.target.classList.add('counted');
+        if (entry.isIntersecting) {
+          if (element.classList.contains('animate')) return;
+
+          let delay = settings.delay;
+          if (settings.group) {
+            const position = groupPositions.get(settings.group) || 0;
+            groupPositions.set(settings.group, position + 1);
+            delay += position * readNumber(settings.group.dataset.animateStagger, 0);
+          }
+
+          element.style.transitionDelay = prefersReducedMotion ? '' : `${delay}ms`;
+          element.classList.add('animate');
+
+          // The delay is only for the entrance, not for later transitions such as hover effects
+          element.addEventListener('transitionend', () => {
+            element.style.transitionDelay = '';
+          }, { once: true });
+          if (typeof hooks.enter === 'function') hooks.enter(element, Object.assign({}, settings, { delay }));
+
+          // One-time animations are done
+          if (!settings.repeat) {
+            settingsByElement.delete(element);
+            observer.unobserve(element);
+          }
+        } else if (settings.repeat && element.classList.contains('animate')) {
+          // Reset so it animates again when scrolling back
+          element.style.transitionDelay = '';
+          element.classList.remove('animate');
+          if (typeof hooks.leave === 'function') hooks.leave(element, settings);
         }
       });
-    }, observerOptions);
-
-    counters.forEach(counter => {
-      counterObserver.observe(counter);
-    });
-  }
-
-  /**
-   * Animate a counter element
-   * @param {HTMLElement} element
-   */
-  function animateCounter(element) {
-    const target = element.textContent.trim();
-    const isNumber = !isNaN(parseInt(target.replace(/[^0-9]/g, '')));
-
-    if (!isNumber) return;
-
-    const targetNumber = parseInt(target.replace(/[^0-9]/g, ''));
-    const duration = 2000; // 2 seconds
-    const increment = targetNumber / (duration / 16); // 60fps
-    let current = 0;
-
-    const timer = setInterval(() => {
-      current += increment;
-      if (current >= targetNumber) {
-        element.textContent = target; // restore original text with + or other characters
-        clearInterval(timer);
-      } else {
-        element.textContent = Math.floor(current).toLocaleString() + (target.includes('+') ? '+' : '');
-      }
-    }, 16);
   }
 
   /**
    * Parallax effect on scroll
+   * @returns {Function|undefined} stops and resets the elements
    */
   function initParallax() {
     const parallaxElements = document.querySelectorAll('.parallax');
@@ -130,56 +228,40 @@
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     if (prefersReducedMotion) return;
 
-    window.addEventListener('scroll', () => {
-      const scrolled = window.pageYOffset;
+    // Skip on slow connections and low-end devices (data-saver mode, see video-loader.js)
+    const dataSaver = window.NasuSite && window.NasuSite.dataSaver;
+    if (dataSaver && dataSaver.enabled) return;
 
+    const unsubscribe = onScroll(state => {
       parallaxElements.forEach(element => {
         const speed = element.dataset.speed || 0.5;
-        const yPos = -(scrolled * speed);
+        const yPos = -(state.scrollY * speed);
         element.style.transform = `translateY(${yPos}px)`;
       });
-    }, { passive: true });
-  }
-
-  /**
-   * Reveal elements progressively as they enter viewport
-   */
-  function initProgressiveReveal() {
-    const revealElements = document.querySelectorAll('.reveal-progressive');
-
-    if (revealElements.length === 0) return;
+    }, { immediate: true });
 
-    const observerOptions = {
-      root: null,
-      threshold: 0.2
-    };
-
-    const revealObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('animate');
-        }
+    return () => {
+      unsubscribe();
+      parallaxElements.forEach(element => {
+        element.style.transform = '';
       });
-    }, observerOptions);
-
-    revealElements.forEach(element => {
-      revealObserver.observe(element);
-    });
+    };
   }
 
   /**
    * Header scroll behavior
    * Add/remove classes based on scroll position
+   * @returns {Function|undefined} unsubscribe
    */
   function initHeaderScroll() {
     const header = document.getElementById('header');
     if (!header) return;
 
-    let lastScroll = 0;
     const scrollThreshold = 100;
 
-    window.addEventListener('scroll', () => {
-      const currentScroll = window.pageYOffset;
+    return onScroll(state => {
+      const currentScroll = state.scrollY;
+      const lastScroll = state.lastScrollY;
 
       // Add shadow when scrolled
       if (currentScroll > 50) {
@@ -200,13 +282,12 @@
           header.classList.remove('scroll-down');
         }
       }
-
-      lastScroll = currentScroll;
-    }, { passive: true });
+    });
   }
 
   /**
    * Lazy load images
+   * @returns {Function|undefined} stops observing
    */
   function initLazyLoad() {
     const lazyImages = document.querySelectorAll('img[loading="lazy"]');
@@ -231,6 +312,8 @@
     lazyImages.forEach(img => {
       imageObserver.observe(img);
     });
+
+    return () => imageObserver.disconnect();
   }
 
   /**
@@ -243,52 +326,45 @@
   /**
    * Performance optimization
    * Add will-change property before animation, remove after
+   * @param {Object} ctx feature context (js/site.js)
    */
-  function optimizeAnimations() {
-    const animatedElements = document.querySelectorAll('.fade-in, .slide-up, .slide-in-left, .slide-in-right, .scale-in');
+  function optimizeAnimations(ctx) {
+    const animatedElements = document.querySelectorAll('[data-animate]');
 
     animatedElements.forEach(element => {
-      // Add will-change before animation
-      element.addEventListener('animationstart', () => {
+      // Add will-change before animation (transitionrun fires before any delay)
+      ctx.on(element, 'transitionrun', () => {
         element.style.willChange = 'transform, opacity';
       }, { once: true });
 
       // Remove will-change after animation
-      element.addEventListener('animationend', () => {
+      ctx.on(element, 'transitionend', () => {
         element.style.willChange = 'auto';
       }, { once: true });
     });
   }
 
   /**
-   * Initialize all scroll animations on DOM ready
+   * Register the scroll animation features (started by js/site.js)
    */
   function init() {
-    // Wait for DOM to be ready
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => {
-        initScrollAnimations();
-        initNumberCounters();
-        initParallax();
-        initProgressiveReveal();
-        initHeaderScroll();
-        initLazyLoad();
-        initPageEntrance();
-        optimizeAnimations();
-      });
-    } else {
-      // DOM is already ready
-      initScrollAnimations();
-      initNumberCounters();
-      initParallax();
-      initProgressiveReveal();
-      initHeaderScroll();
-      initLazyLoad();
-      initPageEntrance();
-      optimizeAnimations();
-    }
+    const site = window.NasuSite;
+
+    site.register('scroll-animations', { init: initScrollAnimations });
+    site.register('parallax', { init: initParallax });
+    site.register('header-scroll', { init: initHeaderScroll });
+    site.register('lazy-load', { init: initLazyLoad });
+    site.register('page-entrance', { init: initPageEntrance });
+    site.register('animation-hints', { init: optimizeAnimations });
   }
 
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.animations = {
+    register: registerAnimationType,
+    types: () => Array.from(animationTypes.keys())
+  };
+
   // Start initialization
   init();
 
@@ -296,7 +372,7 @@
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
       initScrollAnimations,
-      initNumberCounters,
+      registerAnimationType,
       initParallax
     };
   }
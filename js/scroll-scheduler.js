@@ -0,0 +1,176 @@
+/**
+ * Scroll Scheduler
+ * One passive scroll listener and one resize listener for the whole page.
+ * Layout (scroll position, viewport size) is read once per animation frame and
+ * handed to every subscriber, so subscribers only need to write.
+ *
+ *   const unsubscribe = window.NasuSite.scroll.subscribe(state => { ... }, { resize: true });
+ */
+
+(function() {
+  'use strict';
+
+  const subscribers = [];
+
+  let frameRequested = false;
+  let pendingScroll = false;
+  let pendingResize = false;
+  let isListening = false;
+
+  // Measured once per frame
+  const state = {
+    scrollY: window.pageYOffset,
+    lastScrollY: window.pageYOffset,
+    direction: null,           // 'up' | 'down' | null
+    width: window.innerWidth,
+    height: window.innerHeight,
+    scrolled: false,           // the scroll position changed in this frame
+    resized: false             // the viewport size changed in this frame
+  };
+
+  // Shared helper (js/error-reporter.js)
+  const reportError = window.NasuSite.reportError('scroll-scheduler');
+
+  /**
+   * Read layout once
+   */
+  function measure() {
+    const scrollY = window.pageYOffset;
+
+    state.lastScrollY = state.scrollY;
+    state.scrollY = scrollY;
+    if (scrollY !== state.lastScrollY) {
+      state.direction = scrollY > state.lastScrollY ? 'down' : 'up';
+    }
+
+    state.width = window.innerWidth;
+    state.height = window.innerHeight;
+    state.scrolled = pendingScroll;
+    state.resized = pendingResize;
+  }
+
+  /**
+   * Call a subscriber, isolating its errors from the others
+   * @param {Object} subscriber
+   */
+  function notify(subscriber) {
+    try {
+      subscriber.callback(state);
+    } catch (error) {
+      reportError('Scroll subscriber failed', error);
+    }
+  }
+
+  /**
+   * Animation frame: measure, then dispatch to the interested subscribers
+   */
+  function onFrame() {
+    measure();
+
+    const hadScroll = pendingScroll;
+    const hadResize = pendingResize;
+
+    frameRequested = false;
+    pendingScroll = false;
+    pendingResize = false;
+
+    subscribers.slice().forEach(subscriber => {
+      if ((hadScroll && subscriber.scroll) || (hadResize && subscriber.resize)) {
+        notify(subscriber);
+      }
+    });
+  }
+
+  /**
+   * Request a frame (at most one per frame)
+   */
+  function requestFrame() {
+    if (frameRequested) return;
+    frameRequested = true;
+
+    if (typeof window.requestAnimationFrame === 'function') {
+      window.requestAnimationFrame(onFrame);
+    } else {
+      setTimeout(onFrame, 16);
+    }
+  }
+
+  function handleScroll() {
+    pendingScroll = true;
+    requestFrame();
+  }
+
+  function handleResize() {
+    pendingResize = true;
+    requestFrame();
+  }
+
+  /**
+   * Attach the window listeners on first subscription
+   */
+  function listen() {
+    if (isListening) return;
+    isListening = true;
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleResize, { passive: true });
+    window.addEventListener('orientationchange', handleResize);
+  }
+
+  /**
+   * Remove a subscriber
+   * @param {Function} callback
+   */
+  function unsubscribe(callback) {
+    const index = subscribers.findIndex(subscriber => subscriber.callback === callback);
+    if (index > -1) subscribers.splice(index, 1);
+  }
+
+  /**
+   * Add a subscriber
+   * @param {Function} callback called with the shared state { scrollY, lastScrollY, direction, width, height, scrolled, resized }
+   * @param {{scroll?: boolean, resize?: boolean, immediate?: boolean}} [options]
+   *   scroll (default true) / resize (default false): which changes to receive;
+   *   immediate: also call once right away with the current state
+   * @returns {Function} unsubscribe
+   */
+  function subscribe(callback, options) {
+    const settings = Object.assign({ scroll: true, resize: false, immediate: false }, options);
+
+    subscribers.push({
+      callback,
+      scroll: settings.scroll,
+      resize: settings.resize
+    });
+    listen();
+
+    if (settings.immediate) {
+      measure();
+      notify(subscribers[subscribers.length - 1]);
+    }
+
+    return () => unsubscribe(callback);
+  }
+
+  /**
+   * Latest measured state (without reading layout)
+   * @returns {Object}
+   */
+  function getState() {
+    return Object.assign({}, state);
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.scroll = {
+    subscribe,
+    unsubscribe,
+    getState
+  };
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.scroll;
+  }
+
+})();
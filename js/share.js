@@ -0,0 +1,327 @@
+/**
+ * Copy and Share
+ * Copy buttons with a fallback for browsers without the Clipboard API (non-secure
+ * origins, some in-app browsers), and a share button that uses the Web Share API or,
+ * where that is missing, a panel with copy-link, LINE and mail.
+ *
+ *   <button data-copy="text to copy">                 copies the attribute
+ *   <button data-copy-target="#accessAddress" hidden>  copies the element's text; shown once wired up
+ *
+ *   <div class="share" data-share data-share-url="..." data-share-title="..." data-share-text="..." hidden>
+ *     <button class="share__button">    <div class="share__panel" hidden> ... </div>
+ *   </div>
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    FEEDBACK_DURATION: 2000,   // ms
+    LINE_SHARE_URL: 'https://social-plugins.line.me/lineit/share'
+  };
+
+  // Shared helpers (js/tracking.js, js/i18n.js)
+  const { track } = window.NasuSite;
+  const { t } = window.NasuSite.i18n;
+
+  /**
+   * Copy through a temporary, selected textarea (document.execCommand)
+   * The visitor's focus and selection are put back afterwards.
+   * @param {string} text
+   * @returns {boolean} whether the browser copied
+   */
+  function copyWithSelection(text) {
+    const active = document.activeElement;
+    const selection = document.getSelection();
+    const ranges = [];
+    for (let i = 0; selection && i < selection.rangeCount; i++) {
+      ranges.push(selection.getRangeAt(i));
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    // 16px keeps iOS from zooming in on focus
+    textarea.style.cssText = 'position: fixed; top: 0; left: 0; opacity: 0; font-size: 16px;';
+    document.body.appendChild(textarea);
+
+    textarea.select();
+    textarea.setSelectionRange(0, text.length);   // iOS ignores select()
+
+    let isCopied = false;
+    try {
+      isCopied = document.execCommand('copy');
+    } catch (error) {
+      isCopied = false;
+    }
+
+    textarea.remove();
+
+    if (selection) {
+      selection.removeAllRanges();
+      ranges.forEach(range => selection.addRange(range));
+    }
+    if (active && typeof active.focus === 'function') {
+      active.focus({ preventScroll: true });
+    }
+
+    return isCopied;
+  }
+
+  /**
+   * Copy text to the clipboard
+   * @param {string} text
+   * @returns {Promise<void>} rejects when neither the Clipboard API nor the fallback worked
+   */
+  function copyText(text) {
+    const fallback = () => (copyWithSelection(text)
+      ? Promise.resolve()
+      : Promise.reject(new Error('Copying is not supported in this browser')));
+
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text).catch(fallback);
+    }
+
+    return fallback();
+  }
+
+  /**
+   * Select an element's text, so the visitor can copy it themselves
+   * @param {Element} element
+   */
+  function selectText(element) {
+    const selection = document.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Copy buttons
+   * When copying fails, the text of data-copy-target is selected instead.
+   * @param {Object} ctx feature context
+   */
+  function initCopyToClipboard(ctx) {
+    ctx.cleanup(addCopyFeedbackStyles());
+
+    const buttons = document.querySelectorAll('[data-copy-target][hidden]');
+    buttons.forEach(button => {
+      button.hidden = false;
+    });
+    ctx.cleanup(() => buttons.forEach(button => {
+      button.hidden = true;
+    }));
+
+    ctx.on(document, 'click', (e) => {
+      const button = e.target.closest('[data-copy], [data-copy-target]');
+      if (!button) return;
+
+      const target = button.dataset.copyTarget ? document.querySelector(button.dataset.copyTarget) : null;
+      const textToCopy = button.dataset.copy || (target ? target.textContent.trim() : '');
+      if (!textToCopy) return;
+
+      copyText(textToCopy)
+        .then(() => {
+          showCopyFeedback(button, t('copy.success'));
+          track('copy', { target: button.dataset.copyTarget || 'text' }, button);
+        })
+        .catch(error => {
+          console.warn('Failed to copy:', error);
+
+          if (target) {
+            selectText(target);
+            showCopyFeedback(button, t('copy.manual'));
+          } else {
+            showCopyFeedback(button, t('copy.failure'));
+          }
+        });
+    });
+  }
+
+  /**
+   * Show copy feedback
+   * @param {HTMLElement} button
+   * @param {string} message
+   */
+  function showCopyFeedback(button, message) {
+    const feedback = document.createElement('span');
+    feedback.className = 'copy-feedback';
+    feedback.textContent = message;
+    feedback.setAttribute('role', 'status');
+    feedback.style.cssText = `
+      position: absolute;
+      background-color: var(--color-dark-navy);
+      color: white;
+      padding: 8px 12px;
+      border-radius: 4px;
+      font-size: 12px;
+      top: -35px;
+      left: 50%;
+      transform: translateX(-50%);
+      white-space: nowrap;
+      opacity: 0;
+      animation: fadeInOut ${CONFIG.FEEDBACK_DURATION}ms ease-out;
+    `;
+
+    button.style.position = 'relative';
+    button.appendChild(feedback);
+
+    setTimeout(() => {
+      feedback.remove();
+    }, CONFIG.FEEDBACK_DURATION);
+  }
+
+  /**
+   * Add fade in/out animation for copy feedback
+   * @returns {Function} removes the styles
+   */
+  function addCopyFeedbackStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      @keyframes fadeInOut {
+        0% { opacity: 0; transform: translateX(-50%) translateY(-5px); }
+        20% { opacity: 1; transform: translateX(-50%) translateY(0); }
+        80% { opacity: 1; transform: translateX(-50%) translateY(0); }
+        100% { opacity: 0; transform: translateX(-50%) translateY(-5px); }
+      }
+    `;
+    document.head.appendChild(style);
+
+    return () => style.remove();
+  }
+
+  /**
+   * What to share: the data attributes, or the current page
+   * @param {Object} options feature options
+   * @returns {{title: string, text: string, url: string}}
+   */
+  function getShareData(options) {
+    const description = document.querySelector('meta[name="description"]');
+
+    return {
+      title: options.shareTitle || document.title,
+      text: options.shareText || (description ? description.getAttribute('content') : ''),
+      url: options.shareUrl || window.location.href.replace(/#.*$/, '')
+    };
+  }
+
+  /**
+   * Share button
+   * Opens the native share sheet where there is one, otherwise the fallback panel
+   * @param {Object} ctx feature context (js/site.js), rooted at [data-share]
+   */
+  function initShare(ctx) {
+    const root = ctx.root;
+    const button = root.querySelector('.share__button');
+    const panel = root.querySelector('.share__panel');
+
+    if (!button || !panel) return;
+
+    const hasNativeShare = typeof navigator.share === 'function';
+
+    const isOpen = () => !panel.hidden;
+
+    const setOpen = (open, options) => {
+      panel.hidden = !open;
+      button.setAttribute('aria-expanded', String(open));
+
+      if (open) {
+        const data = getShareData(ctx.options);
+        panel.querySelector('[data-share-copy]').dataset.copy = data.url;
+        panel.querySelector('[data-share-line]').href = `${CONFIG.LINE_SHARE_URL}?url=${encodeURIComponent(data.url)}`;
+        panel.querySelector('[data-share-mail]').href =
+          `mailto:?subject=${encodeURIComponent(data.title)}&body=${encodeURIComponent(`${data.text}\n${data.url}`)}`;
+        panel.querySelector('.share__option').focus();
+      } else if (!options || options.restoreFocus !== false) {
+        button.focus();
+      }
+    };
+
+    root.hidden = false;
+    button.setAttribute('aria-controls', panel.id);
+    button.setAttribute('aria-expanded', 'false');
+
+    ctx.on(button, 'click', () => {
+      if (isOpen()) {
+        setOpen(false);
+        return;
+      }
+
+      if (!hasNativeShare) {
+        setOpen(true);
+        return;
+      }
+
+      navigator.share(getShareData(ctx.options))
+        .then(() => track('share', { method: 'native' }, button))
+        .catch(error => {
+          // Closed by the visitor: nothing to do. Refused by the browser: offer the panel
+          if (error && error.name === 'AbortError') return;
+          setOpen(true);
+        });
+    });
+
+    ctx.on(panel, 'click', (e) => {
+      const option = e.target.closest('.share__option');
+      if (!option) return;
+
+      const method = 'shareCopy' in option.dataset ? 'copy' : 'shareLine' in option.dataset ? 'line' : 'mail';
+      track('share', { method }, option);
+
+      // Links leave the page or open LINE; the copy button stays for its feedback
+      if (method !== 'copy') {
+        setOpen(false, { restoreFocus: false });
+      }
+    });
+
+    ctx.on(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && isOpen()) {
+        setOpen(false);
+      }
+    });
+
+    ctx.on(document, 'click', (e) => {
+      if (isOpen() && !root.contains(e.target)) {
+        setOpen(false, { restoreFocus: false });
+      }
+    });
+
+    return () => {
+      panel.hidden = true;
+      root.hidden = true;
+      button.removeAttribute('aria-expanded');
+      button.removeAttribute('aria-controls');
+    };
+  }
+
+  /**
+   * Register the features (started by js/site.js)
+   */
+  function init() {
+    const site = window.NasuSite;
+
+    site.register('copy-to-clipboard', { init: initCopyToClipboard });
+    site.register('share', {
+      root: '[data-share]',
+      defaults: { shareUrl: '', shareTitle: '', shareText: '' },
+      init: initShare
+    });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.share = {
+    copy: copyText
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.share;
+  }
+
+})();
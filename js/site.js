@@ -0,0 +1,275 @@
+/**
+ * Site Bootstrap
+ * Registry for page features (pricing tabs, mobile menu, scroll spy, counters,
+ * hero video, ...). Each feature registers init/destroy hooks once; the registry
+ * starts them on DOM ready and can stop, restart or re-run them later, e.g. after
+ * new HTML has been injected.
+ *
+ *   window.NasuSite.register('scroll-to-top', {
+ *     root: '#scrollTop',                  // optional: skipped when missing
+ *     defaults: { threshold: 300 },        // overridden by data-threshold on the root
+ *     init(ctx) {
+ *       ctx.on(window, 'keydown', handler); // removed again on destroy
+ *       return () => { ... };               // optional cleanup
+ *     }
+ *   });
+ *
+ *   window.NasuSite.disable('parallax');
+ *   window.NasuSite.reinit('pricing-tabs');
+ *
+ * Features can also be switched off in markup:
+ *   <html data-disable-features="parallax counters">
+ */
+
+(function() {
+  'use strict';
+
+  const features = new Map();   // name -> feature record
+  let isStarted = false;
+
+  // Shared helper (js/error-reporter.js)
+  const reportError = window.NasuSite.reportError('site');
+
+  /**
+   * Feature names disabled with data-disable-features on <html>
+   * @returns {string[]}
+   */
+  function getDisabledInMarkup() {
+    const value = document.documentElement.getAttribute('data-disable-features') || '';
+    return value.split(/[\s,]+/).filter(Boolean);
+  }
+
+  /**
+   * Convert a data attribute string to the type of its default
+   * @param {string} value
+   * @param {*} fallback
+   * @returns {*}
+   */
+  function coerce(value, fallback) {
+    if (typeof fallback === 'number') {
+      const number = parseFloat(value);
+      return isNaN(number) ? fallback : number;
+    }
+
+    if (typeof fallback === 'boolean') {
+      // <div data-once> and data-once="true" are true, data-once="false" is false
+      return value !== 'false';
+    }
+
+    return value;
+  }
+
+  /**
+   * Merge defaults with the root element's data attributes
+   * @param {Object} defaults
+   * @param {HTMLElement|null} root
+   * @returns {Object}
+   */
+  function readOptions(defaults, root) {
+    const options = Object.assign({}, defaults);
+    if (!root) return options;
+
+    Object.keys(options).forEach(key => {
+      if (key in root.dataset) {
+        options[key] = coerce(root.dataset[key], options[key]);
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Start a feature if it applies to the page
+   * @param {Object} feature
+   */
+  function start(feature) {
+    if (feature.active || !feature.enabled) return;
+
+    const definition = feature.definition;
+    const root = definition.root ? document.querySelector(definition.root) : document.documentElement;
+    if (!root) return;
+
+    const cleanups = [];
+    const ctx = {
+      name: feature.name,
+      root,
+      options: readOptions(definition.defaults, root),
+
+      /**
+       * addEventListener that is undone on destroy
+       */
+      on(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        cleanups.push(() => target.removeEventListener(type, handler, options));
+      },
+
+      /**
+       * Run a function on destroy
+       */
+      cleanup(fn) {
+        if (typeof fn === 'function') cleanups.push(fn);
+      }
+    };
+
+    feature.active = true;
+    feature.ctx = ctx;
+    feature.cleanups = cleanups;
+
+    try {
+      ctx.cleanup(definition.init(ctx));
+    } catch (error) {
+      reportError(`Feature "${feature.name}" failed to initialize`, error, { feature: feature.name });
+    }
+  }
+
+  /**
+   * Stop a running feature and undo what it registered
+   * @param {Object} feature
+   */
+  function stop(feature) {
+    if (!feature.active) return;
+
+    const cleanups = feature.cleanups;
+    if (typeof feature.definition.destroy === 'function') {
+      cleanups.push(() => feature.definition.destroy(feature.ctx));
+    }
+
+    // Undo in reverse order
+    while (cleanups.length > 0) {
+      try {
+        cleanups.pop()();
+      } catch (error) {
+        reportError(`Feature "${feature.name}" failed to clean up`, error, { feature: feature.name });
+      }
+    }
+
+    feature.active = false;
+    feature.ctx = null;
+  }
+
+  /**
+   * Find a registered feature
+   * @param {string} name
+   * @returns {Object}
+   */
+  function getFeature(name) {
+    const feature = features.get(name);
+    if (!feature) {
+      console.warn(`Unknown feature "${name}"`);
+    }
+    return feature;
+  }
+
+  /**
+   * Register a feature
+   * @param {string} name
+   * @param {{init: Function, destroy?: Function, root?: string, defaults?: Object}} definition
+   */
+  function register(name, definition) {
+    if (features.has(name)) {
+      console.warn(`Feature "${name}" is already registered`);
+      return;
+    }
+
+    const feature = {
+      name,
+      definition: Object.assign({ defaults: {} }, definition),
+      enabled: !getDisabledInMarkup().includes(name),
+      active: false,
+      ctx: null,
+      cleanups: []
+    };
+    features.set(name, feature);
+
+    // Scripts loaded after DOM ready start right away
+    if (isStarted) start(feature);
+  }
+
+  /**
+   * Turn a feature on (and start it)
+   * @param {string} name
+   */
+  function enable(name) {
+    const feature = getFeature(name);
+    if (!feature) return;
+
+    feature.enabled = true;
+    if (isStarted) start(feature);
+  }
+
+  /**
+   * Turn a feature off (and destroy it)
+   * @param {string} name
+   */
+  function disable(name) {
+    const feature = getFeature(name);
+    if (!feature) return;
+
+    feature.enabled = false;
+    stop(feature);
+  }
+
+  /**
+   * Destroy and start again, picking up new or changed markup
+   * @param {string} [name] one feature; all enabled features when omitted
+   */
+  function reinit(name) {
+    const targets = name ? [getFeature(name)].filter(Boolean) : Array.from(features.values());
+
+    targets.forEach(stop);
+    targets.forEach(start);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  function isEnabled(name) {
+    const feature = features.get(name);
+    return Boolean(feature && feature.enabled);
+  }
+
+  /**
+   * Registered features and their state
+   * @returns {{name: string, enabled: boolean, active: boolean}[]}
+   */
+  function list() {
+    return Array.from(features.values()).map(feature => ({
+      name: feature.name,
+      enabled: feature.enabled,
+      active: feature.active
+    }));
+  }
+
+  /**
+   * Start every registered feature, in registration order
+   */
+  function startAll() {
+    isStarted = true;
+    features.forEach(start);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', startAll);
+  } else {
+    // Let the other scripts register first
+    setTimeout(startAll, 0);
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  Object.assign(window.NasuSite, {
+    register,
+    enable,
+    disable,
+    reinit,
+    isEnabled,
+    features: list
+  });
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { register, enable, disable, reinit, isEnabled, features: list };
+  }
+
+})();
@@ -0,0 +1,271 @@
+/**
+ * Structured Data
+ * Builds the page's JSON-LD from its own content: the business details in the static
+ * <script type="application/ld+json">, the opening hours (js/business-hours.js), an Offer
+ * per pricing row (js/pricing-catalog.js) and a Review per testimonial (js/testimonials.js).
+ * The result is checked against the properties each type needs; gaps are logged as warnings.
+ * The static block has no hours of its own: data/hours.json is the only definition.
+ *
+ * URLs are made absolute against og:url, so the data is the same on every host. The text is
+ * Japanese, like the static details, and stays so when the visitor switches the page language.
+ */
+
+(function() {
+  'use strict';
+
+  const SELECTOR = 'script[type="application/ld+json"]';
+  const LANGUAGE = 'ja';
+
+  // Properties each type must have
+  const REQUIRED = {
+    HealthAndBeautyBusiness: ['name', 'url', 'image', 'address', 'telephone', 'openingHoursSpecification'],
+    PostalAddress: ['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry'],
+    OpeningHoursSpecification: ['opens', 'closes'],
+    Offer: ['name', 'priceSpecification'],
+    UnitPriceSpecification: ['price', 'priceCurrency'],
+    Review: ['author', 'reviewBody'],
+    Person: ['name']
+  };
+
+  // Properties that must hold absolute URLs
+  const URL_PROPERTIES = ['url', 'image', 'logo'];
+
+  // Shared helper (js/error-reporter.js)
+  const reportError = window.NasuSite.reportError('structured-data');
+
+  /**
+   * Content of a <meta> tag
+   * @param {string} selector
+   * @returns {string}
+   */
+  function meta(selector) {
+    const element = document.querySelector(selector);
+    return element ? element.getAttribute('content') || '' : '';
+  }
+
+  /**
+   * Resolve a URL against the site's own address
+   * @param {string} value
+   * @param {string} base
+   * @returns {string}
+   */
+  function absoluteUrl(value, base) {
+    if (!value) return value;
+
+    try {
+      return new URL(value, base).href;
+    } catch (error) {
+      return value;
+    }
+  }
+
+  /**
+   * Offer per pricing row, priced for each session length
+   * @param {Object} catalog
+   * @returns {Object[]}
+   */
+  function buildOffers(catalog) {
+    const pricing = window.NasuSite.pricing;
+    const offers = [];
+
+    catalog.plans.forEach(plan => {
+      plan.options.forEach(option => {
+        offers.push({
+          '@type': 'Offer',
+          name: `${pricing.planLabel(plan, LANGUAGE)} ${pricing.optionLabel(plan, option, LANGUAGE)}`,
+          priceSpecification: catalog.durations.map(duration => ({
+            '@type': 'UnitPriceSpecification',
+            name: pricing.formatDuration(duration, LANGUAGE),
+            price: option.prices[duration],
+            priceCurrency: catalog.currency,
+            referenceQuantity: {
+              '@type': 'QuantitativeValue',
+              value: duration,
+              unitCode: 'MIN'
+            }
+          }))
+        });
+      });
+    });
+
+    return offers;
+  }
+
+  /**
+   * Review per testimonial; the clients are anonymous, so the author is their age and gender
+   * @param {Object} data
+   * @returns {Object[]}
+   */
+  function buildReviews(data) {
+    const i18n = window.NasuSite.i18n;
+
+    return data.stories.map(story => ({
+      '@type': 'Review',
+      inLanguage: LANGUAGE,
+      author: {
+        '@type': 'Person',
+        name: i18n.t('testimonials.imageAlt', {
+          age: i18n.t('testimonials.age', { age: story.age }, LANGUAGE),
+          gender: i18n.t(`testimonials.${story.gender}`, null, LANGUAGE)
+        }, LANGUAGE)
+      },
+      reviewBody: i18n.localize(story.text, LANGUAGE)
+    }));
+  }
+
+  /**
+   * Build the JSON-LD
+   * @param {Object} base the static business details
+   * @param {Object} sources loaded data: { hours, catalog, testimonials }, each optional
+   * @returns {Object}
+   */
+  function buildStructuredData(base, sources) {
+    const site = meta('meta[property="og:url"]') || base.url || window.location.href;
+    const data = Object.assign({}, base, {
+      url: absoluteUrl(site, window.location.href),
+      image: absoluteUrl(meta('meta[property="og:image"]') || base.image, site),
+      description: meta('meta[name="description"]') || base.description
+    });
+
+    if (base.logo) {
+      data.logo = absoluteUrl(base.logo, site);
+    }
+
+    if (sources.hours) {
+      const hours = window.NasuSite.hours;
+      data.openingHoursSpecification = hours.toOpeningHoursSpecification(sources.hours);
+
+      const special = hours.toSpecialOpeningHours(sources.hours);
+      if (special.length > 0) {
+        data.specialOpeningHoursSpecification = special;
+      } else {
+        delete data.specialOpeningHoursSpecification;
+      }
+    }
+
+    if (sources.catalog) {
+      data.makesOffer = buildOffers(sources.catalog);
+    }
+
+    if (sources.testimonials) {
+      data.review = buildReviews(sources.testimonials);
+    }
+
+    return data;
+  }
+
+  /**
+   * Check the JSON-LD against the required properties
+   * @param {Object} data
+   * @returns {string[]} problems, e.g. "review[0].author: missing name"
+   */
+  function validateStructuredData(data) {
+    const problems = [];
+
+    const visit = (value, path) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${path}[${index}]`));
+        return;
+      }
+      if (!value || typeof value !== 'object') return;
+
+      const where = path || value['@type'] || 'root';
+
+      (REQUIRED[value['@type']] || []).forEach(property => {
+        const content = value[property];
+        if (content === undefined || content === null || content === '' || (Array.isArray(content) && content.length === 0)) {
+          problems.push(`${where}: missing ${property}`);
+        }
+      });
+
+      URL_PROPERTIES.forEach(property => {
+        if (typeof value[property] === 'string' && !/^https?:\/\//.test(value[property])) {
+          problems.push(`${where}: ${property} is not an absolute URL (${value[property]})`);
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        if (key.charAt(0) !== '@') {
+          visit(value[key], path ? `${path}.${key}` : key);
+        }
+      });
+    };
+
+    if (!data['@context']) {
+      problems.push('root: missing @context');
+    }
+    visit(data, '');
+
+    return problems;
+  }
+
+  /**
+   * Initialize the structured data
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function initStructuredData(ctx) {
+    const script = ctx.root;
+    let base;
+
+    try {
+      base = JSON.parse(script.textContent);
+    } catch (error) {
+      reportError('Invalid JSON-LD in the page', error);
+      return;
+    }
+
+    const site = window.NasuSite;
+    const testimonialsRoot = document.querySelector('[data-testimonials-src]');
+    let isDestroyed = false;
+
+    // Each source is optional; whatever loads goes in
+    const settle = (promise) => (promise ? promise.catch(error => {
+      reportError('Structured data source failed to load', error);
+      return null;
+    }) : Promise.resolve(null));
+
+    Promise.all([
+      settle(site.hours && site.hours.load()),
+      settle(site.pricing && site.pricing.load()),
+      settle(site.testimonials && site.testimonials.load(testimonialsRoot ? testimonialsRoot.dataset.testimonialsSrc : undefined))
+    ]).then(([hours, catalog, testimonials]) => {
+      if (isDestroyed) return;
+
+      // Built once: the text does not depend on the page language
+      const data = buildStructuredData(base, { hours, catalog, testimonials });
+      validateStructuredData(data).forEach(problem => console.warn(`Structured data: ${problem}`));
+      script.textContent = JSON.stringify(data, null, 2);
+    }).catch(error => reportError('Failed to build structured data', error));
+
+    return () => {
+      isDestroyed = true;
+      script.textContent = JSON.stringify(base, null, 2);
+    };
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('structured-data', {
+      root: SELECTOR,
+      init: initStructuredData
+    });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.structuredData = {
+    build: buildStructuredData,
+    validate: validateStructuredData
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.structuredData;
+  }
+
+})();
@@ -0,0 +1,534 @@
+/**
+ * Testimonials
+ * Renders the customer stories (data/testimonials.json) as a grid on larger screens
+ * and as a swipeable carousel on phones, with an optional filter by concern.
+ *
+ *   <div class="testimonials__carousel" data-testimonials-src="./data/testimonials.json"
+ *        data-autoplay="6000" data-filter>
+ *
+ *   data-autoplay   ms between slides, 0 to turn autoplay off (never with prefers-reduced-motion)
+ *   data-filter     "false" to hide the concern filter
+ *
+ * data/testimonials.json:
+ *   concerns [{ id: "back-pain", label: { ja: "腰痛", en: "Back pain" } }]
+ *   stories  [{ id, image, age: 30, gender: "female", concerns: ["back-pain"], text: { ja, en } }]
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    SOURCE: './data/testimonials.json',
+    CAROUSEL_QUERY: '(max-width: 767px)',
+    AUTOPLAY: 6000,             // ms
+    ALL: 'all'                  // filter value for every story
+  };
+
+  const GENDERS = ['female', 'male'];
+
+  const loading = new Map();    // url -> Promise
+
+  // Shared helpers (js/tracking.js, js/error-reporter.js, js/i18n.js)
+  const { track } = window.NasuSite;
+  const reportError = window.NasuSite.reportError('testimonials');
+  const { t, localize } = window.NasuSite.i18n;
+
+  /**
+   * Check the stories and throw on the first inconsistency
+   * @param {Object} data
+   * @returns {Object} the same data
+   */
+  function validateTestimonials(data) {
+    const fail = (message) => {
+      throw new Error(`Invalid testimonials: ${message}`);
+    };
+
+    if (!data || !Array.isArray(data.stories) || data.stories.length === 0) {
+      fail('"stories" must be a non-empty array');
+    }
+
+    const concernIds = (data.concerns || []).map(concern => concern.id);
+    const ids = new Set();
+
+    data.stories.forEach((story, index) => {
+      const name = story.id || `#${index}`;
+
+      if (!story.id || ids.has(story.id)) {
+        fail(`story ${name} needs a unique "id"`);
+      }
+      ids.add(story.id);
+
+      if (!localize(story.text)) {
+        fail(`story "${name}" has no "text"`);
+      }
+      if (!Number.isInteger(story.age) || !GENDERS.includes(story.gender)) {
+        fail(`story "${name}" needs an "age" (e.g. 30) and a "gender" (${GENDERS.join(' | ')})`);
+      }
+      (story.concerns || []).forEach(concern => {
+        if (!concernIds.includes(concern)) {
+          fail(`story "${name}" has unknown concern "${concern}"`);
+        }
+      });
+    });
+
+    return data;
+  }
+
+  /**
+   * Load and validate the stories (cached per URL)
+   * @param {string} [source]
+   * @returns {Promise<Object>}
+   */
+  function loadTestimonials(source) {
+    const url = source || CONFIG.SOURCE;
+
+    if (!loading.has(url)) {
+      loading.set(url, fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`Failed to load testimonials: HTTP ${response.status}`);
+          }
+          return response.json();
+        })
+        .then(validateTestimonials));
+    }
+
+    return loading.get(url);
+  }
+
+  /**
+   * Build a story card
+   * @param {Object} story
+   * @returns {HTMLElement}
+   */
+  function renderStory(story) {
+    const card = document.createElement('article');
+    card.className = 'testimonials__card';
+    card.dataset.story = story.id;
+
+    const age = t('testimonials.age', { age: story.age });
+    const gender = t(`testimonials.${story.gender}`);
+
+    card.innerHTML = `
+      <div class="testimonials__image-wrapper">
+        <img class="testimonials__image" loading="lazy">
+      </div>
+      <div class="testimonials__content">
+        <p class="testimonials__text"></p>
+        <div class="testimonials__author">
+          <span class="testimonials__age"></span>
+          <span class="testimonials__gender"></span>
+        </div>
+      </div>
+    `;
+
+    const image = card.querySelector('.testimonials__image');
+    image.src = story.image;
+    image.alt = t('testimonials.imageAlt', { age, gender });
+
+    card.querySelector('.testimonials__text').textContent = localize(story.text);
+    card.querySelector('.testimonials__age').textContent = age;
+    card.querySelector('.testimonials__gender').textContent = gender;
+
+    return card;
+  }
+
+  /**
+   * Concern filter buttons, for concerns that have stories
+   * @param {HTMLElement} container
+   * @param {Object} data
+   * @param {string} selected concern id or CONFIG.ALL
+   */
+  function renderFilter(container, data, selected) {
+    const concerns = (data.concerns || []).filter(concern => (
+      data.stories.some(story => (story.concerns || []).includes(concern.id))
+    ));
+
+    container.innerHTML = '';
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', t('testimonials.filterLabel'));
+
+    [{ id: CONFIG.ALL, label: t('testimonials.filterAll') }].concat(concerns).forEach(concern => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'testimonials__filter-button';
+      button.dataset.concern = concern.id;
+      button.textContent = localize(concern.label);
+      button.setAttribute('aria-pressed', String(concern.id === selected));
+      container.appendChild(button);
+    });
+
+    container.hidden = concerns.length === 0;
+  }
+
+  /**
+   * Stories for a concern
+   * @param {Object} data
+   * @param {string} concern
+   * @returns {Object[]}
+   */
+  function filterStories(data, concern) {
+    if (concern === CONFIG.ALL) return data.stories;
+    return data.stories.filter(story => (story.concerns || []).includes(concern));
+  }
+
+  /**
+   * Grid / carousel for the loaded stories
+   * @param {HTMLElement} root
+   * @param {Object} data
+   * @param {Object} ctx feature context (js/site.js)
+   */
+  function bindTestimonials(root, data, ctx) {
+    const options = ctx.options;
+    const slider = root.querySelector('.testimonials__grid');
+    const filter = root.querySelector('.testimonials__filter');
+    const controls = root.querySelector('.testimonials__controls');
+    const dots = root.querySelector('.testimonials__dots');
+    const prevButton = root.querySelector('.testimonials__arrow--prev');
+    const nextButton = root.querySelector('.testimonials__arrow--next');
+    const autoplayButton = root.querySelector('.testimonials__autoplay');
+
+    const carouselQuery = window.matchMedia(CONFIG.CAROUSEL_QUERY);
+    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    const canAutoplay = options.autoplay > 0 && !prefersReducedMotion;
+
+    const state = {
+      concern: CONFIG.ALL,
+      index: 0,
+      isCarousel: false,
+      isStoppedByUser: false,   // pause button or swipe: no more autoplay
+      pauseReasons: new Set(),  // hover, focus, hidden tab, out of view
+      timer: null,
+      frame: null
+    };
+
+    const getSlides = () => Array.from(slider.querySelectorAll('.testimonials__card'));
+
+    // Slides and dots
+
+    const renderSlides = () => {
+      const stories = filterStories(data, state.concern);
+      slider.innerHTML = '';
+      stories.forEach(story => slider.appendChild(renderStory(story)));
+
+      dots.innerHTML = '';
+      stories.forEach((story, index) => {
+        const dot = document.createElement('button');
+        dot.type = 'button';
+        dot.className = 'testimonials__dot';
+        dot.dataset.index = index;
+        dot.setAttribute('aria-label', t('testimonials.show', { index: index + 1 }));
+        dots.appendChild(dot);
+      });
+
+      state.index = Math.min(state.index, stories.length - 1);
+      applyMode();
+    };
+
+    const updateCurrent = () => {
+      const slides = getSlides();
+
+      slides.forEach((slide, index) => {
+        if (state.isCarousel) {
+          slide.setAttribute('aria-label', t('testimonials.slideLabel', { index: index + 1, total: slides.length }));
+        }
+        slide.classList.toggle('testimonials__card--current', state.isCarousel && index === state.index);
+      });
+
+      Array.from(dots.children).forEach((dot, index) => {
+        if (index === state.index) {
+          dot.setAttribute('aria-current', 'true');
+        } else {
+          dot.removeAttribute('aria-current');
+        }
+      });
+    };
+
+    const goTo = (index, behavior) => {
+      const slides = getSlides();
+      if (slides.length === 0) return;
+
+      state.index = (index + slides.length) % slides.length;
+      updateCurrent();
+
+      if (!state.isCarousel) return;
+
+      const left = slides[state.index].offsetLeft - slides[0].offsetLeft;
+      const scrollBehavior = behavior || (prefersReducedMotion ? 'auto' : 'smooth');
+      if (typeof slider.scrollTo === 'function') {
+        slider.scrollTo({ left, behavior: scrollBehavior });
+      } else {
+        slider.scrollLeft = left;
+      }
+    };
+
+    // The slide nearest the scroll position (after a swipe)
+    const syncFromScroll = () => {
+      state.frame = null;
+
+      const slides = getSlides();
+      if (slides.length === 0) return;
+
+      const scrollLeft = slider.scrollLeft + slides[0].offsetLeft;
+      let nearest = 0;
+      slides.forEach((slide, index) => {
+        if (Math.abs(slide.offsetLeft - scrollLeft) < Math.abs(slides[nearest].offsetLeft - scrollLeft)) {
+          nearest = index;
+        }
+      });
+
+      if (nearest !== state.index) {
+        state.index = nearest;
+        updateCurrent();
+      }
+    };
+
+    // Autoplay
+
+    const isPlaying = () => state.timer !== null;
+
+    const renderAutoplayButton = () => {
+      if (!autoplayButton) return;
+
+      autoplayButton.hidden = !state.isCarousel || !canAutoplay;
+      window.NasuSite.i18n.bind(autoplayButton, state.isStoppedByUser ? 'testimonials.play' : 'testimonials.pause');
+      autoplayButton.setAttribute('aria-pressed', String(state.isStoppedByUser));
+    };
+
+    const updateAutoplay = () => {
+      const shouldPlay = state.isCarousel && canAutoplay && !state.isStoppedByUser &&
+        state.pauseReasons.size === 0 && getSlides().length > 1;
+
+      if (shouldPlay && !isPlaying()) {
+        state.timer = setInterval(() => goTo(state.index + 1), options.autoplay);
+      } else if (!shouldPlay && isPlaying()) {
+        clearInterval(state.timer);
+        state.timer = null;
+      }
+
+      // Announce slide changes only when they are not automatic
+      slider.setAttribute('aria-live', isPlaying() ? 'off' : 'polite');
+    };
+
+    const pause = (reason) => {
+      state.pauseReasons.add(reason);
+      updateAutoplay();
+    };
+
+    const resume = (reason) => {
+      state.pauseReasons.delete(reason);
+      updateAutoplay();
+    };
+
+    const stopByUser = () => {
+      if (state.isStoppedByUser) return;
+      state.isStoppedByUser = true;
+      renderAutoplayButton();
+      updateAutoplay();
+    };
+
+    // Grid on larger screens, carousel on phones
+
+    function applyMode() {
+      state.isCarousel = carouselQuery.matches;
+
+      root.classList.toggle('testimonials__carousel--active', state.isCarousel);
+      controls.hidden = !state.isCarousel || getSlides().length < 2;
+
+      if (state.isCarousel) {
+        root.setAttribute('role', 'region');
+        root.setAttribute('aria-roledescription', t('testimonials.carousel'));
+        root.setAttribute('aria-label', t('testimonials.carouselLabel'));
+      } else {
+        ['role', 'aria-roledescription', 'aria-label'].forEach(name => root.removeAttribute(name));
+        slider.removeAttribute('aria-live');
+      }
+
+      getSlides().forEach(slide => {
+        if (state.isCarousel) {
+          slide.setAttribute('role', 'group');
+          slide.setAttribute('aria-roledescription', t('testimonials.slide'));
+        } else {
+          ['role', 'aria-roledescription', 'aria-label'].forEach(name => slide.removeAttribute(name));
+        }
+      });
+
+      updateCurrent();
+      renderAutoplayButton();
+      updateAutoplay();
+      if (state.isCarousel) goTo(state.index, 'auto');
+    }
+
+    // Filter
+    if (options.filter) {
+      renderFilter(filter, data, state.concern);
+
+      ctx.on(filter, 'click', (e) => {
+        const button = e.target.closest('.testimonials__filter-button');
+        if (!button || button.dataset.concern === state.concern) return;
+
+        state.concern = button.dataset.concern;
+        state.index = 0;
+        filter.querySelectorAll('.testimonials__filter-button').forEach(item => {
+          item.setAttribute('aria-pressed', String(item === button));
+        });
+        renderSlides();
+        track('testimonial_filter', { concern: state.concern }, button);
+      });
+    }
+
+    renderSlides();
+
+    // Controls
+    ctx.on(prevButton, 'click', () => {
+      stopByUser();
+      goTo(state.index - 1);
+    });
+    ctx.on(nextButton, 'click', () => {
+      stopByUser();
+      goTo(state.index + 1);
+    });
+    ctx.on(dots, 'click', (e) => {
+      const dot = e.target.closest('.testimonials__dot');
+      if (!dot) return;
+      stopByUser();
+      goTo(Number(dot.dataset.index));
+    });
+
+    if (autoplayButton) {
+      ctx.on(autoplayButton, 'click', () => {
+        state.isStoppedByUser = !state.isStoppedByUser;
+        renderAutoplayButton();
+        updateAutoplay();
+      });
+    }
+
+    // Arrow keys anywhere in the carousel except the filter
+    ctx.on(root, 'keydown', (e) => {
+      if (!state.isCarousel || e.target.closest('.testimonials__filter')) return;
+
+      const moves = { ArrowLeft: -1, ArrowRight: 1 };
+      if (!(e.key in moves)) return;
+
+      e.preventDefault();
+      stopByUser();
+      goTo(state.index + moves[e.key]);
+    });
+
+    // Swipe: native scrolling with scroll snap; follow where it settles
+    ctx.on(slider, 'scroll', () => {
+      if (state.frame === null) {
+        state.frame = requestAnimationFrame(syncFromScroll);
+      }
+    }, { passive: true });
+    ctx.on(slider, 'pointerdown', stopByUser);
+    ctx.on(slider, 'touchstart', stopByUser, { passive: true });
+
+    // Pause autoplay while the visitor reads
+    ctx.on(root, 'mouseenter', () => pause('hover'));
+    ctx.on(root, 'mouseleave', () => resume('hover'));
+    ctx.on(root, 'focusin', () => pause('focus'));
+    ctx.on(root, 'focusout', (e) => {
+      if (!root.contains(e.relatedTarget)) resume('focus');
+    });
+    ctx.on(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        pause('hidden');
+      } else {
+        resume('hidden');
+      }
+    });
+
+    if ('IntersectionObserver' in window) {
+      const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            resume('offscreen');
+          } else {
+            pause('offscreen');
+          }
+        });
+      });
+      pause('offscreen');
+      observer.observe(root);
+      ctx.cleanup(() => observer.disconnect());
+    }
+
+    if (typeof carouselQuery.addEventListener === 'function') {
+      ctx.on(carouselQuery, 'change', applyMode);
+    }
+
+    ctx.on(document, 'nasu:language-change', () => {
+      if (options.filter) renderFilter(filter, data, state.concern);
+      renderSlides();
+    });
+
+    ctx.cleanup(() => {
+      clearInterval(state.timer);
+      if (state.frame !== null) cancelAnimationFrame(state.frame);
+    });
+  }
+
+  /**
+   * Initialize the testimonials
+   * @param {Object} ctx feature context (js/site.js), rooted at .testimonials__carousel
+   */
+  function initTestimonials(ctx) {
+    const root = ctx.root;
+    let isDestroyed = false;
+
+    loadTestimonials(ctx.options.testimonialsSrc)
+      .then(data => {
+        if (isDestroyed) return;
+        bindTestimonials(root, data, ctx);
+      })
+      .catch(error => {
+        if (isDestroyed) return;
+        reportError('Failed to render testimonials', error);
+        root.closest('.testimonials').hidden = true;
+      });
+
+    return () => {
+      isDestroyed = true;
+      root.classList.remove('testimonials__carousel--active');
+      ['role', 'aria-roledescription', 'aria-label'].forEach(name => root.removeAttribute(name));
+      root.querySelector('.testimonials__grid').innerHTML = '';
+      root.querySelector('.testimonials__dots').innerHTML = '';
+      root.querySelector('.testimonials__filter').hidden = true;
+      root.querySelector('.testimonials__controls').hidden = true;
+    };
+  }
+
+  /**
+   * Register the feature (started by js/site.js)
+   */
+  function init() {
+    window.NasuSite.register('testimonials', {
+      root: '.testimonials__carousel',
+      defaults: {
+        testimonialsSrc: CONFIG.SOURCE,
+        autoplay: CONFIG.AUTOPLAY,
+        filter: true
+      },
+      init: initTestimonials
+    });
+  }
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.testimonials = {
+    load: loadTestimonials,
+    validate: validateTestimonials,
+    filter: filterStories
+  };
+
+  // Start initialization
+  init();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.testimonials;
+  }
+
+})();
@@ -0,0 +1,261 @@
+/**
+ * Analytics Tracking
+ * Small event bus: scripts send named events, which are batched, given page context
+ * and handed to a swappable adapter (gtag, dataLayer, sendBeacon or no-op).
+ * Nothing is sent until the visitor allows analytics in the consent manager (js/consent.js).
+ *
+ * Configure with data attributes on the script tag:
+ *   <script src="./js/tracking.js" data-adapter="beacon" data-endpoint="/api/events"></script>
+ */
+
+(function() {
+  'use strict';
+
+  // Settings
+  const CONFIG = {
+    BATCH_SIZE: 10,               // flush when this many events are queued
+    FLUSH_INTERVAL: 5000,         // or after this many milliseconds
+    MAX_PENDING: 50,              // events kept while waiting for consent
+    DEFAULT_ENDPOINT: '/api/events'
+  };
+
+  const script = document.currentScript;
+  const options = script ? script.dataset : {};
+
+  let adapter = null;
+  let queue = [];
+  let flushTimer = null;
+  const debug = options.debug === 'true';
+
+  /**
+   * Built-in adapters
+   * Each adapter receives an array of { name, params } events
+   */
+  const adapters = {
+    /**
+     * Drop events (development); logs them when debug is on
+     */
+    noop() {
+      return {
+        name: 'noop',
+        send(events) {
+          if (debug) {
+            console.log('[tracking]', events);
+          }
+        }
+      };
+    },
+
+    /**
+     * Google Analytics 4 via gtag.js
+     */
+    gtag() {
+      return {
+        name: 'gtag',
+        send(events) {
+          if (typeof window.gtag !== 'function') return;
+          events.forEach(event => window.gtag('event', event.name, event.params));
+        }
+      };
+    },
+
+    /**
+     * Google Tag Manager data layer
+     */
+    dataLayer() {
+      return {
+        name: 'dataLayer',
+        send(events) {
+          window.dataLayer = window.dataLayer || [];
+          events.forEach(event => window.dataLayer.push(Object.assign({ event: event.name }, event.params)));
+        }
+      };
+    },
+
+    /**
+     * POST batches to an endpoint with navigator.sendBeacon
+     * @param {{endpoint?: string}} [settings]
+     */
+    beacon(settings) {
+      const endpoint = (settings && settings.endpoint) || CONFIG.DEFAULT_ENDPOINT;
+
+      return {
+        name: 'beacon',
+        send(events) {
+          const body = JSON.stringify({ events });
+
+          if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) {
+            return;
+          }
+
+          // sendBeacon unavailable or its queue is full
+          if (typeof fetch === 'function') {
+            fetch(endpoint, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body,
+              keepalive: true
+            }).catch(() => {});
+          }
+        }
+      };
+    }
+  };
+
+  /**
+   * Use an adapter
+   * @param {string|{send: Function}} nameOrAdapter adapter name or custom adapter object
+   * @param {Object} [settings] passed to built-in adapters
+   */
+  function setAdapter(nameOrAdapter, settings) {
+    if (typeof nameOrAdapter === 'string') {
+      const factory = adapters[nameOrAdapter];
+      if (!factory) {
+        console.warn(`Unknown tracking adapter "${nameOrAdapter}", using noop`);
+        adapter = adapters.noop();
+        return;
+      }
+      adapter = factory(settings);
+    } else if (nameOrAdapter && typeof nameOrAdapter.send === 'function') {
+      adapter = nameOrAdapter;
+    }
+  }
+
+  /**
+   * Find the section an element belongs to, or the one in the middle of the viewport
+   * @param {Element} [element]
+   * @returns {string}
+   */
+  function resolveSection(element) {
+    const owner = element && element.closest ? element.closest('section[id]') : null;
+    if (owner) return owner.id;
+
+    const middle = window.innerHeight / 2;
+    const sections = document.querySelectorAll('section[id]');
+
+    for (let i = 0; i < sections.length; i++) {
+      const rect = sections[i].getBoundingClientRect();
+      if (rect.top <= middle && rect.bottom > middle) {
+        return sections[i].id;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * Whether analytics is allowed
+   * @returns {boolean}
+   */
+  function isAllowed() {
+    const consent = window.NasuSite && window.NasuSite.consent;
+    return !consent || consent.get('analytics');
+  }
+
+  /**
+   * Send queued events to the adapter
+   */
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    if (queue.length === 0) return;
+
+    // Hold events until the visitor decides; drop them if analytics is declined
+    if (!isAllowed()) {
+      const consent = window.NasuSite.consent;
+      queue = consent.hasDecided() ? [] : queue.slice(-CONFIG.MAX_PENDING);
+      return;
+    }
+
+    const events = queue;
+    queue = [];
+
+    try {
+      adapter.send(events);
+    } catch (error) {
+      console.warn('Tracking adapter failed:', error);
+    }
+  }
+
+  /**
+   * Record an event
+   * @param {string} name event name, e.g. 'phone_click'
+   * @param {Object} [params] event parameters
+   * @param {Element} [element] element that triggered the event (used for section context)
+   */
+  function track(name, params, element) {
+    if (!name) return;
+
+    queue.push({
+      name,
+      params: Object.assign({
+        page_path: window.location.pathname,
+        page_title: document.title,
+        section: resolveSection(element),
+        timestamp: Date.now()
+      }, params)
+    });
+
+    if (queue.length >= CONFIG.BATCH_SIZE) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, CONFIG.FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Flush when the page is being left or hidden
+   */
+  function initFlushOnHide() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    });
+
+    window.addEventListener('pagehide', flush);
+  }
+
+  /**
+   * Send or discard held events when consent changes
+   */
+  function initConsentListener() {
+    const consent = window.NasuSite && window.NasuSite.consent;
+    if (!consent) return;
+
+    // Granting only maps or media notifies too: keep holding until analytics is answered
+    consent.subscribe(current => {
+      if (current.analytics) {
+        flush();
+      } else if (consent.hasDecided()) {
+        queue = [];
+      }
+    });
+  }
+
+  // Start with the adapter named on the script tag
+  setAdapter(options.adapter || 'noop', { endpoint: options.endpoint });
+  initFlushOnHide();
+  initConsentListener();
+
+  // Expose to other scripts
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.tracking = {
+    track,
+    flush,
+    setAdapter,
+    adapters
+  };
+
+  // Shorthand for the feature scripts: const { track } = window.NasuSite;
+  window.NasuSite.track = track;
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.NasuSite.tracking;
+  }
+
+})();
@@ -1,6 +1,15 @@
 /**
  * Video Loader
- * Vimeo動画の読み込み状態を管理し、静止画からのスムーズな遷移を実現
+ * ヒーロー動画の読み込み状態を管理し、静止画からのスムーズな遷移を実現
+ * プロバイダー（Vimeo / YouTube / 自前の<video>）は .hero__video-container のdata属性で選択する
+ *   data-video-provider="vimeo"   data-video-id="1108113613"（または iframe.hero__video の data-src）
+ *   data-video-provider="youtube" data-video-id="動画ID"
+ *   data-video-provider="native"  data-video-src="./videos/hero.mp4"
+ *   data-video-fallback-src       外部プレイヤーが失敗したときに切り替える自前の動画（任意）
+ * 外部プレイヤーは、外部メディアの利用許可（consent.js）が得られるまで静止画のまま表示する
+ * 通信量を節約したい環境（データセーバー）では自動で読み込まず、「動画を再生」ボタンを表示する
+ * 判定結果は window.NasuSite.dataSaver で他のスクリプトからも参照できる
+ * 一時停止／再生ボタン（WCAG 2.2.2）の選択は保存し、ヒーローが画面外にある間は自動で一時停止する
  */
 
 (function() {
@@ -8,87 +17,445 @@
 
   // 設定
   const CONFIG = {
+    VIMEO_API_URL: 'https://player.vimeo.com/api/player.js',
+    VIMEO_EMBED_URL: 'https://player.vimeo.com/video/',
+    YOUTUBE_API_URL: 'https://www.youtube.com/iframe_api',
+    YOUTUBE_HOST: 'https://www.youtube-nocookie.com',
+    DEFAULT_PROVIDER: 'vimeo',
+    SLOW_CONNECTION_TYPES: ['slow-2g', '2g', '3g'],
+    LOW_MEMORY_GB: 2,              // navigator.deviceMemory がこの値以下なら低メモリ端末
+    PAUSED_STORAGE_KEY: 'nasu:hero-video-paused',
     FALLBACK_TIMEOUT: 5000,        // フォールバック用タイムアウト（5秒）
     MIN_DISPLAY_TIME: 1500,        // 最低表示時間（暗い画面を十分に見せる）
     DEBUG: false                   // デバッグモード
   };
 
   // 状態管理
-  let player = null;
+  let player = null;               // 使用中のプレイヤーアダプター
   let videoLoadStartTime = null;
   let isVideoReady = false;
+  let isVideoStarted = false;
   let fallbackTimer = null;
+  let isPlayRequested = false;     // データセーバー時に「動画を再生」が押されたか
+  let isUserPaused = readPausedPreference();
+  let isHeroVisible = true;
+  let toggleButton = null;
+  const scriptPromises = {};
+  const dataSaver = detectDataSaver();
 
   /**
-   * Vimeo Player APIの初期化
+   * データセーバーモードの判定
+   * Save-Data、低速回線（2g/3g）、メモリの少ない端末で有効になる
+   * @returns {{enabled: boolean, reasons: string[]}} reasons: save-data | slow-connection | low-memory
    */
-  function initVimeoPlayer() {
-    const iframe = document.querySelector('.hero__video');
-    const container = document.querySelector('.hero__video-container');
+  function detectDataSaver() {
+    const connection = navigator.connection || {};
+    const reasons = [];
 
-    if (!iframe || !container) {
-      console.warn('Video elements not found');
-      return;
+    if (connection.saveData) {
+      reasons.push('save-data');
+    }
+    if (CONFIG.SLOW_CONNECTION_TYPES.includes(connection.effectiveType)) {
+      reasons.push('slow-connection');
+    }
+    if (typeof navigator.deviceMemory === 'number' && navigator.deviceMemory <= CONFIG.LOW_MEMORY_GB) {
+      reasons.push('low-memory');
     }
 
-    videoLoadStartTime = Date.now();
+    return { enabled: reasons.length > 0, reasons };
+  }
 
-    // Vimeo Player API読み込み確認
-    if (typeof Vimeo === 'undefined' || typeof Vimeo.Player === 'undefined') {
-      console.warn('Vimeo Player API not loaded, using fallback');
-      useFallbackMethod(container);
-      return;
+  /**
+   * 一時停止の選択を読み込む
+   */
+  function readPausedPreference() {
+    try {
+      return localStorage.getItem(CONFIG.PAUSED_STORAGE_KEY) === 'true';
+    } catch (error) {
+      return false;
     }
+  }
 
+  /**
+   * 一時停止の選択を保存
+   */
+  function savePausedPreference(paused) {
     try {
-      // Playerインスタンス作成
-      player = new Vimeo.Player(iframe);
+      if (paused) {
+        localStorage.setItem(CONFIG.PAUSED_STORAGE_KEY, 'true');
+      } else {
+        localStorage.removeItem(CONFIG.PAUSED_STORAGE_KEY);
+      }
+    } catch (error) {
+      console.warn('Video preference could not be saved:', error);
+    }
+  }
 
-      // イベントリスナー設定
-      setupEventListeners(player, container);
+  // 共通のヘルパー（js/error-reporter.js）
+  const reportError = window.NasuSite.reportError('video-loader');
 
-      // フォールバック設定（念のため）
-      setupFallbackTimeout(container);
+  /**
+   * 外部スクリプトの読み込み（URLごとに1回だけ）
+   * 同意前に外部スクリプトを読み込まないよう、必要になった時点で追加する
+   */
+  function loadScript(url) {
+    if (!scriptPromises[url]) {
+      scriptPromises[url] = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => {
+          delete scriptPromises[url];
+          reject(new Error(`Failed to load ${url}`));
+        };
+        document.head.appendChild(script);
+      });
+    }
 
-    } catch (error) {
-      console.error('Failed to initialize Vimeo Player:', error);
-      useFallbackMethod(container);
+    return scriptPromises[url];
+  }
+
+  /**
+   * Vimeo Player APIの読み込み
+   */
+  function loadVimeoApi() {
+    if (typeof Vimeo !== 'undefined' && typeof Vimeo.Player !== 'undefined') {
+      return Promise.resolve();
     }
+
+    return loadScript(CONFIG.VIMEO_API_URL);
   }
 
   /**
-   * Vimeoプレイヤーのイベントリスナー設定
+   * YouTube IFrame APIの読み込み
+   * スクリプトの読み込み後、onYouTubeIframeAPIReady が呼ばれた時点で使用可能になる
    */
-  function setupEventListeners(player, container) {
-    // 動画準備完了イベント
-    player.ready().then(function() {
-      // 再生開始を待つ
-      player.on('play', function() {
-        handleVideoReady(container);
-      });
+  function loadYouTubeApi() {
+    if (window.YT && typeof window.YT.Player === 'function') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const previous = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        if (typeof previous === 'function') previous();
+        resolve();
+      };
+
+      loadScript(CONFIG.YOUTUBE_API_URL).catch(reject);
+    });
+  }
+
+  /**
+   * プレイヤーアダプター
+   * どのプロバイダーも同じインターフェースを持つ：
+   *   name             プロバイダー名
+   *   label            外部サービスの名前（読み込みの確認に表示する）
+   *   requiresConsent  外部サービスを使うか（consent.js の media の許可が必要）
+   *   load(container, handlers)  読み込み開始。再生が始まったら handlers.onPlaying()、
+   *                              失敗したら handlers.onError(message, error) を呼ぶ
+   *   play() / pause()           Promiseを返す
+   *   destroy()                  イベントを解除し、読み込み前の状態に戻す
+   */
+
+  /**
+   * Vimeo（Player API）
+   */
+  function createVimeoPlayer(options) {
+    let vimeoPlayer = null;
+    let iframe = null;
+    let isCreated = false;
+
+    return {
+      name: 'vimeo',
+      label: 'Vimeo',
+      requiresConsent: true,
+
+      load(container, handlers) {
+        iframe = container.querySelector('iframe.hero__video');
+        if (!iframe) {
+          iframe = document.createElement('iframe');
+          iframe.className = 'hero__video';
+          iframe.setAttribute('allow', 'autoplay; fullscreen; picture-in-picture');
+          iframe.title = options.title;
+          container.insertBefore(iframe, container.firstChild);
+          isCreated = true;
+        }
+
+        const src = iframe.dataset.src ||
+          `${CONFIG.VIMEO_EMBED_URL}${encodeURIComponent(options.id)}?autoplay=1&loop=1&muted=1&background=1`;
+        iframe.setAttribute('src', src);
+
+        loadVimeoApi()
+          .then(() => {
+            vimeoPlayer = new Vimeo.Player(iframe);
+
+            vimeoPlayer.ready().then(() => {
+              // 再生開始・バッファリング完了を待つ
+              vimeoPlayer.on('play', handlers.onPlaying);
+              vimeoPlayer.on('bufferend', handlers.onPlaying);
+
+              // timeupdate（再生が実際に始まったことを確認）
+              vimeoPlayer.on('timeupdate', (data) => {
+                if (data.seconds > 0.5) handlers.onPlaying();
+              });
+            }).catch(error => handlers.onError('Player ready error', error));
+
+            vimeoPlayer.on('error', error => handlers.onError('Vimeo player error', error));
+          })
+          .catch(error => handlers.onError('Failed to initialize Vimeo Player', error));
+      },
+
+      play() {
+        return vimeoPlayer ? vimeoPlayer.play() : Promise.resolve();
+      },
+
+      pause() {
+        return vimeoPlayer ? vimeoPlayer.pause() : Promise.resolve();
+      },
+
+      destroy() {
+        if (vimeoPlayer) {
+          ['play', 'bufferend', 'timeupdate', 'error'].forEach(name => vimeoPlayer.off(name));
+          vimeoPlayer = null;
+        }
+
+        if (iframe) {
+          if (isCreated) {
+            iframe.remove();
+          } else {
+            iframe.removeAttribute('src');
+          }
+          iframe = null;
+        }
+      }
+    };
+  }
 
-      // バッファリング完了を待つ
-      player.on('bufferend', function() {
+  /**
+   * YouTube（IFrame Player API）
+   */
+  function createYouTubePlayer(options) {
+    let ytPlayer = null;
+    let placeholder = null;
+
+    return {
+      name: 'youtube',
+      label: 'YouTube',
+      requiresConsent: true,
+
+      load(container, handlers) {
+        // YT.Player がこの要素をiframeに置き換える
+        placeholder = document.createElement('div');
+        placeholder.className = 'hero__video';
+        container.insertBefore(placeholder, container.firstChild);
+
+        loadYouTubeApi()
+          .then(() => {
+            ytPlayer = new YT.Player(placeholder, {
+              host: CONFIG.YOUTUBE_HOST,
+              videoId: options.id,
+              playerVars: {
+                autoplay: 1,
+                mute: 1,
+                loop: 1,
+                playlist: options.id,       // loopには同じ動画のプレイリスト指定が必要
+                controls: 0,
+                disablekb: 1,
+                playsinline: 1,
+                rel: 0
+              },
+              events: {
+                onReady: (e) => {
+                  e.target.mute();
+                  e.target.playVideo();
+                },
+                onStateChange: (e) => {
+                  if (e.data === YT.PlayerState.PLAYING) handlers.onPlaying();
+                },
+                onError: (e) => {
+                  handlers.onError('YouTube player error', new Error(`YouTube error code ${e.data}`));
+                }
+              }
+            });
+
+            const iframe = ytPlayer.getIframe();
+            iframe.classList.add('hero__video');
+            iframe.title = options.title;
+          })
+          .catch(error => handlers.onError('Failed to initialize YouTube Player', error));
+      },
+
+      play() {
+        if (ytPlayer && ytPlayer.playVideo) ytPlayer.playVideo();
+        return Promise.resolve();
+      },
+
+      pause() {
+        if (ytPlayer && ytPlayer.pauseVideo) ytPlayer.pauseVideo();
+        return Promise.resolve();
+      },
+
+      destroy() {
+        if (ytPlayer) {
+          ytPlayer.destroy();
+          ytPlayer = null;
+        }
+
+        if (placeholder) {
+          placeholder.remove();
+          placeholder = null;
+        }
+      }
+    };
+  }
+
+  /**
+   * 自前の動画（<video>要素）
+   */
+  function createNativePlayer(options) {
+    let video = null;
+    let isCreated = false;
+    let listeners = null;
+
+    return {
+      name: 'native',
+      requiresConsent: false,
+
+      load(container, handlers) {
+        video = container.querySelector('video.hero__video');
+        if (!video) {
+          video = document.createElement('video');
+          video.className = 'hero__video';
+          video.setAttribute('aria-hidden', 'true');
+          container.insertBefore(video, container.firstChild);
+          isCreated = true;
+        }
+
+        // 自動再生にはミュートとインライン再生が必要
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.setAttribute('muted', '');
+        video.setAttribute('playsinline', '');
+        video.preload = 'auto';
+        if (options.poster) video.poster = options.poster;
+
+        listeners = {
+          playing: () => handlers.onPlaying(),
+          error: () => handlers.onError('Video element error', video.error || new Error('Failed to load video'))
+        };
+        Object.keys(listeners).forEach(name => video.addEventListener(name, listeners[name]));
+
+        video.src = options.src;
+
+        const result = video.play();
+        if (result && typeof result.catch === 'function') {
+          // 自動再生がブロックされた場合はタイマーで静止画から切り替える
+          result.catch(error => console.warn('Video autoplay was blocked:', error));
+        }
+      },
+
+      play() {
+        return video ? Promise.resolve(video.play()) : Promise.resolve();
+      },
+
+      pause() {
+        if (video) video.pause();
+        return Promise.resolve();
+      },
+
+      destroy() {
+        if (!video) return;
+
+        Object.keys(listeners || {}).forEach(name => video.removeEventListener(name, listeners[name]));
+        video.pause();
+
+        if (isCreated) {
+          video.remove();
+        } else {
+          video.removeAttribute('src');
+          video.load();
+        }
+        video = null;
+      }
+    };
+  }
+
+  const PROVIDERS = {
+    vimeo: createVimeoPlayer,
+    youtube: createYouTubePlayer,
+    native: createNativePlayer
+  };
+
+  /**
+   * コンテナのdata属性から動画の設定を読み取る
+   */
+  function getVideoOptions(container) {
+    const data = container.dataset;
+
+    return {
+      provider: data.videoProvider || CONFIG.DEFAULT_PROVIDER,
+      id: data.videoId || '',
+      src: data.videoSrc || '',
+      fallbackSrc: data.videoFallbackSrc || '',
+      poster: data.videoPoster || '',
+      title: data.videoTitle || ''
+    };
+  }
+
+  /**
+   * プレイヤーアダプターの作成
+   */
+  function createPlayer(options) {
+    const factory = PROVIDERS[options.provider];
+
+    if (!factory) {
+      console.warn(`Unknown video provider "${options.provider}", using ${CONFIG.DEFAULT_PROVIDER}`);
+      return PROVIDERS[CONFIG.DEFAULT_PROVIDER](options);
+    }
+
+    return factory(options);
+  }
+
+  /**
+   * プレイヤーからの通知を受け取るハンドラー
+   */
+  function createHandlers(container) {
+    return {
+      onPlaying: () => {
         handleVideoReady(container);
-      });
 
-      // timeupdate（再生が実際に始まったことを確認）
-      player.on('timeupdate', function(data) {
-        if (data.seconds > 0.5 && !isVideoReady) {
-          handleVideoReady(container);
+        // 自動再生が始まっても、一時停止中・画面外なら止める
+        if (!shouldPlay() && player) {
+          player.pause().catch(() => {});
         }
-      });
+      },
+      onError: (message, error) => handlePlayerError(container, message, error)
+    };
+  }
 
-    }).catch(function(error) {
-      console.error('Player ready error:', error);
-      useFallbackMethod(container);
-    });
+  /**
+   * プレイヤーのエラー処理
+   * 自前の代替動画があれば切り替え、なければタイマーで静止画から遷移する
+   */
+  function handlePlayerError(container, message, error) {
+    reportError(message, error);
 
-    // エラーハンドリング
-    player.on('error', function(error) {
-      console.error('Vimeo player error:', error);
-      useFallbackMethod(container);
-    });
+    if (!isVideoStarted || isVideoReady) return;
+
+    const options = getVideoOptions(container);
+
+    if (player && player.name !== 'native' && options.fallbackSrc) {
+      console.warn('Switching to the self-hosted fallback video');
+      player.destroy();
+      player = createPlayer(Object.assign({}, options, { provider: 'native', src: options.fallbackSrc }));
+      player.load(container, createHandlers(container));
+      return;
+    }
+
+    useFallbackMethod(container);
   }
 
   /**
@@ -103,9 +470,21 @@
     const minDisplayTime = Math.max(0, CONFIG.MIN_DISPLAY_TIME - loadTime);
 
     setTimeout(() => {
+      if (!isVideoStarted || isVideoReady) return; // 同意の取り消しで停止済み / 処理済み
+
       isVideoReady = true;
       brightenAndFadeOut(container);
       clearFallbackTimeout();
+
+      // 計測用（web-vitals.js）：動画表示までの時間を通知
+      document.dispatchEvent(new CustomEvent('nasu:video-ready', {
+        detail: {
+          container,
+          loadTime,
+          readyAt: performance.now(),
+          provider: player ? player.name : ''
+        }
+      }));
     }, minDisplayTime);
   }
 
@@ -121,6 +500,7 @@
     // アニメーション完了後、疑似要素を完全に削除
     // オーバーレイ: 3.5秒、静止画: 3秒 + 2秒ディレイ = 5秒
     setTimeout(() => {
+      if (!isVideoStarted) return;
       container.classList.add('video-fully-loaded');
     }, 5500); // 全体のアニメーション時間に合わせる
   }
@@ -152,7 +532,7 @@
    */
   function useFallbackMethod(container) {
     setTimeout(() => {
-      if (!isVideoReady) {
+      if (isVideoStarted && !isVideoReady) {
         handleVideoReady(container);
       }
     }, 3000); // 3秒後に強制フェードアウト
@@ -177,36 +557,274 @@
   }
 
   /**
-   * ページ可視性変更の処理
+   * 動画の読み込み開始
    */
-  function handleVisibilityChange() {
-    if (document.hidden && player) {
-      player.pause().catch(() => {});
-    } else if (!document.hidden && player && isVideoReady) {
-      player.play().catch(() => {});
+  function startVideo() {
+    const container = document.querySelector('.hero__video-container');
+
+    if (!container || isVideoStarted) return;
+
+    isVideoStarted = true;
+    videoLoadStartTime = Date.now();
+    container.classList.remove('video-static');
+
+    if (!player) {
+      player = createPlayer(getVideoOptions(container));
+    }
+    player.load(container, createHandlers(container));
+    showToggleButton(container);
+
+    // ユーザー設定確認（動きを減らす設定なら即座に遷移）
+    if (!checkUserPreferences()) {
+      return;
     }
+
+    // フォールバック設定（念のため）
+    setupFallbackTimeout(container);
   }
 
   /**
-   * 初期化
+   * 動画の停止（同意の取り消し時）
+   * 静止画の表示に戻す
    */
-  function init() {
-    // ユーザー設定確認
-    if (!checkUserPreferences()) {
-      return;
+  function stopVideo() {
+    const container = document.querySelector('.hero__video-container');
+
+    if (!isVideoStarted) return;
+
+    isVideoStarted = false;
+    isVideoReady = false;
+    clearFallbackTimeout();
+
+    if (player) {
+      player.destroy();
+      player = null;
     }
 
-    // DOM読み込み待機
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', initVimeoPlayer);
-    } else {
-      initVimeoPlayer();
+    if (toggleButton) toggleButton.hidden = true;
+    if (container) {
+      container.classList.remove('video-loaded', 'video-fully-loaded');
+      // 許可が取り消されたので静止画のまま表示する
+      container.classList.add('video-static');
+    }
+  }
+
+  /**
+   * 動画を読み込んでよいか（データセーバー時はボタンが押されるまで読み込まない）
+   */
+  function canLoadVideo() {
+    return !dataSaver.enabled || isPlayRequested;
+  }
+
+  /**
+   * 外部メディアの利用許可が必要で、まだ得られていないか
+   */
+  function isWaitingForConsent() {
+    const consent = window.NasuSite && window.NasuSite.consent;
+    return Boolean(consent && player && player.requiresConsent && !consent.get('media'));
+  }
+
+  /**
+   * 「動画を再生」ボタンの表示（データセーバー時）
+   * 外部メディアの許可がまだなら、サービス名を示して読み込んでよいか確認し、
+   * 確認のボタンが押されたときだけ media を許可する（動画は購読中のハンドラーが開始する）
+   * 戻り値はボタンを取り除く関数
+   */
+  function showPlayButton(container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'hero__data-saver';
+
+    const note = document.createElement('p');
+    note.className = 'hero__data-saver-note';
+    note.id = 'heroDataSaverNote';
+    window.NasuSite.i18n.bind(note, 'video.dataSaverNote');
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'hero__play';
+    window.NasuSite.i18n.bind(button, 'video.play');
+    button.setAttribute('aria-describedby', note.id);
+
+    let isAskingConsent = false;
+
+    button.addEventListener('click', () => {
+      // 許可がない場合、まず読み込み先を示して確認する
+      if (isWaitingForConsent() && !isAskingConsent) {
+        isAskingConsent = true;
+        window.NasuSite.i18n.bind(note, 'video.consentNote', { service: player.label });
+        window.NasuSite.i18n.bind(button, 'video.consentLoad', { service: player.label });
+        return;
+      }
+
+      isPlayRequested = true;
+      wrapper.remove();
+
+      // 再生を選んだので、以前の一時停止の選択は解除する
+      if (isUserPaused) setUserPaused(false);
+
+      if (isWaitingForConsent()) {
+        // 確認に同意したので media だけを許可する。購読中のハンドラーから startVideo が呼ばれる
+        window.NasuSite.consent.grant('media');
+      } else {
+        startVideo();
+      }
+    });
+
+    wrapper.appendChild(note);
+    wrapper.appendChild(button);
+    container.parentNode.appendChild(wrapper);
+
+    return () => wrapper.remove();
+  }
+
+  /**
+   * 外部メディアの利用許可とデータセーバーの判定に合わせて動画を読み込む
+   * 外部プレイヤーは許可されるまで静止画のまま
+   * ctx は機能のコンテキスト（js/site.js）、root は .hero__video-container
+   */
+  function initWithConsent(ctx) {
+    const container = ctx.root;
+    const consent = window.NasuSite && window.NasuSite.consent;
+
+    player = createPlayer(getVideoOptions(container));
+    ctx.cleanup(initHeroObserver(container));
+
+    if (dataSaver.enabled && !isPlayRequested) {
+      ctx.cleanup(showPlayButton(container));
+    }
+
+    // 自前の動画、または同意管理スクリプトがない場合は許可を待たない
+    if (player.requiresConsent && consent) {
+      ctx.cleanup(consent.subscribe(current => {
+        if (!current.media) {
+          stopVideo();
+        } else if (canLoadVideo()) {
+          startVideo();
+        }
+      }));
     }
 
     // ページ可視性変更の監視
-    document.addEventListener('visibilitychange', handleVisibilityChange);
+    ctx.on(document, 'visibilitychange', updatePlayback);
+
+    if (canLoadVideo() && !isWaitingForConsent()) {
+      startVideo();
+    } else {
+      // データセーバーまたは許可待ちで、意図して読み込まない（静止画を暗くしない）
+      container.classList.add('video-static');
+    }
+
+    // 無効化・再初期化時は静止画に戻し、追加したボタンを取り除く
+    return () => {
+      stopVideo();
+      container.classList.remove('video-static');
+
+      if (player) {
+        player.destroy();
+        player = null;
+      }
+      if (toggleButton) {
+        toggleButton.remove();
+        toggleButton = null;
+      }
+    };
+  }
+
+  /**
+   * 再生してよい状態か
+   * 一時停止ボタンが押されておらず、ヒーローが画面内にあり、タブが表示されている場合のみ
+   */
+  function shouldPlay() {
+    return !isUserPaused && isHeroVisible && !document.hidden;
+  }
+
+  /**
+   * 現在の状態に合わせて再生／一時停止
+   * 準備完了前（暗い画面）やフォールバック後でも、プレイヤーがあればそのまま反映する
+   */
+  function updatePlayback() {
+    if (!player || !isVideoStarted) return;
+
+    const result = shouldPlay() ? player.play() : player.pause();
+    result.catch(() => {});
+  }
+
+  /**
+   * 一時停止の選択を変更
+   */
+  function setUserPaused(paused) {
+    isUserPaused = paused;
+    savePausedPreference(paused);
+    renderToggleButton();
+    updatePlayback();
+  }
+
+  /**
+   * 一時停止／再生ボタンの表示を更新
+   */
+  function renderToggleButton() {
+    if (!toggleButton) return;
+
+    // 言語の切り替え時は i18n.js が翻訳し直す
+    window.NasuSite.i18n.bind(
+      toggleButton.querySelector('.hero__video-toggle-label'),
+      isUserPaused ? 'video.play' : 'video.pause'
+    );
+    toggleButton.classList.toggle('hero__video-toggle--paused', isUserPaused);
+  }
+
+  /**
+   * 一時停止／再生ボタンの表示（動画の読み込み開始時）
+   */
+  function showToggleButton(container) {
+    if (!toggleButton) {
+      toggleButton = document.createElement('button');
+      toggleButton.type = 'button';
+      toggleButton.className = 'hero__video-toggle';
+      toggleButton.innerHTML = '<span class="hero__video-toggle-icon" aria-hidden="true"></span><span class="hero__video-toggle-label"></span>';
+      toggleButton.addEventListener('click', () => setUserPaused(!isUserPaused));
+      container.parentNode.appendChild(toggleButton);
+    }
+
+    toggleButton.hidden = false;
+    renderToggleButton();
+  }
+
+  /**
+   * ヒーローが画面外に出たら一時停止、戻ったら再開
+   * 戻り値は監視を止める関数
+   */
+  function initHeroObserver(container) {
+    if (!('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver(entries => {
+      isHeroVisible = entries[entries.length - 1].isIntersecting;
+      updatePlayback();
+    });
+
+    observer.observe(container.parentNode);
+
+    return () => {
+      observer.disconnect();
+      isHeroVisible = true;
+    };
+  }
+
+  /**
+   * 初期化（DOM読み込み後に js/site.js から開始される）
+   */
+  function init() {
+    window.NasuSite.register('hero-video', {
+      root: '.hero__video-container',
+      init: initWithConsent
+    });
   }
 
+  // 他のスクリプトに判定結果を公開（CSS用に html.is-data-saver も付与）
+  window.NasuSite = window.NasuSite || {};
+  window.NasuSite.dataSaver = dataSaver;
+  document.documentElement.classList.toggle('is-data-saver', dataSaver.enabled);
+
   // 初期化実行
   init();
 
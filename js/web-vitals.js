@@ -0,0 +1,298 @@
+/**
+ * Core Web Vitals
+ * Collects LCP, CLS, INP, TTFB and FCP with PerformanceObserver, plus the hero
+ * video's time to "video-loaded", and reports each metric once per page view
+ * through the tracking module (js/tracking.js)
+ */
+
+(function() {
+  'use strict';
+
+  // Good / poor thresholds (https://web.dev/articles/vitals)
+  const THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800],
+    FCP: [1800, 3000],
+    HERO_VIDEO: [2500, 4000]
+  };
+
+  // Latest value per metric: { value, attribution }
+  const metrics = {};
+  let isReported = false;
+
+  /**
+   * Describe an element as a short CSS-like path, e.g. "section#hero > div.hero__video-container"
+   * @param {Node} node
+   * @returns {string}
+   */
+  function describeElement(node) {
+    const parts = [];
+    let element = node && node.nodeType === 1 ? node : node && node.parentElement;
+
+    while (element && element !== document.body && parts.length < 3) {
+      let part = element.tagName.toLowerCase();
+      if (element.id) {
+        part += `#${element.id}`;
+      } else if (element.classList.length > 0) {
+        part += `.${Array.from(element.classList).slice(0, 2).join('.')}`;
+      }
+      parts.unshift(part);
+
+      if (element.id) break;
+      element = element.parentElement;
+    }
+
+    return parts.join(' > ');
+  }
+
+  /**
+   * Rate a value as good / needs-improvement / poor
+   * @param {string} name
+   * @param {number} value
+   * @returns {string}
+   */
+  function rate(name, value) {
+    const [good, poor] = THRESHOLDS[name];
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+  }
+
+  /**
+   * Store the latest value of a metric
+   * @param {string} name
+   * @param {number} value
+   * @param {Object} [attribution]
+   */
+  function setMetric(name, value, attribution) {
+    metrics[name] = { value, attribution: attribution || {} };
+  }
+
+  /**
+   * Observe a performance entry type, ignoring unsupported types
+   * @param {string} type
+   * @param {Function} callback called with the list of entries
+   * @param {Object} [options]
+   * @returns {PerformanceObserver|null}
+   */
+  function observe(type, callback, options) {
+    try {
+      if (!PerformanceObserver.supportedEntryTypes.includes(type)) return null;
+
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe(Object.assign({ type, buffered: true }, options));
+      return observer;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Largest Contentful Paint
+   * Stops updating after the first interaction, as the browser does
+   */
+  function observeLcp() {
+    const observer = observe('largest-contentful-paint', entries => {
+      const entry = entries[entries.length - 1];
+      if (!entry) return;
+
+      setMetric('LCP', entry.startTime, {
+        element: describeElement(entry.element),
+        url: entry.url || ''
+      });
+    });
+
+    if (!observer) return;
+
+    const stop = () => {
+      observer.takeRecords();
+      observer.disconnect();
+    };
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, stop, { once: true, capture: true });
+    });
+  }
+
+  /**
+   * Cumulative Layout Shift (largest session window)
+   */
+  function observeCls() {
+    let sessionValue = 0;
+    let sessionEntries = [];
+    let maxValue = 0;
+
+    const observer = observe('layout-shift', entries => {
+      entries.forEach(entry => {
+        if (entry.hadRecentInput) return;
+
+        const first = sessionEntries[0];
+        const last = sessionEntries[sessionEntries.length - 1];
+
+        // A new window starts after a 1s gap or when the window passes 5s
+        if (first && (entry.startTime - last.startTime > 1000 || entry.startTime - first.startTime > 5000)) {
+          sessionValue = 0;
+          sessionEntries = [];
+        }
+
+        sessionValue += entry.value;
+        sessionEntries.push(entry);
+
+        if (sessionValue > maxValue) {
+          maxValue = sessionValue;
+
+          // Attribute to the element behind the largest single shift in the window
+          const largest = sessionEntries.reduce((a, b) => (b.value > a.value ? b : a));
+          const source = (largest.sources || []).find(s => s.node) || {};
+
+          setMetric('CLS', maxValue, {
+            element: describeElement(source.node),
+            shiftTime: largest.startTime
+          });
+        }
+      });
+    });
+
+    // Report 0 if nothing shifts
+    if (observer && !metrics.CLS) {
+      setMetric('CLS', 0);
+    }
+  }
+
+  /**
+   * Interaction to Next Paint (98th percentile of the slowest interactions)
+   */
+  function observeInp() {
+    const interactions = new Map();
+
+    const handleEntries = entries => {
+      entries.forEach(entry => {
+        if (!entry.interactionId) return;
+
+        const existing = interactions.get(entry.interactionId);
+        if (!existing || entry.duration > existing.duration) {
+          interactions.set(entry.interactionId, entry);
+        }
+      });
+
+      if (interactions.size === 0) return;
+
+      const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+      const entry = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+
+      setMetric('INP', entry.duration, {
+        element: describeElement(entry.target),
+        eventType: entry.name
+      });
+    };
+
+    observe('event', handleEntries, { durationThreshold: 40 });
+    observe('first-input', handleEntries);
+  }
+
+  /**
+   * Time to First Byte
+   */
+  function measureTtfb() {
+    const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+    if (!navigation) return;
+
+    const value = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+
+    setMetric('TTFB', value, {
+      navigationType: navigation.type
+    });
+  }
+
+  /**
+   * First Contentful Paint
+   */
+  function observeFcp() {
+    const observer = observe('paint', entries => {
+      entries.forEach(entry => {
+        if (entry.name === 'first-contentful-paint') {
+          setMetric('FCP', entry.startTime);
+          observer.disconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Time until the hero video is shown (video-loaded), from video-loader.js
+   */
+  function observeHeroVideo() {
+    document.addEventListener('nasu:video-ready', (e) => {
+      const detail = e.detail || {};
+
+      setMetric('HERO_VIDEO', detail.readyAt, {
+        element: describeElement(detail.container),
+        loadTime: detail.loadTime,
+        provider: detail.provider || ''
+      });
+    });
+  }
+
+  /**
+   * Send every collected metric once
+   */
+  function report() {
+    if (isReported) return;
+
+    const names = Object.keys(metrics);
+    if (names.length === 0) return;
+
+    isReported = true;
+
+    const tracking = window.NasuSite && window.NasuSite.tracking;
+    if (!tracking) return;
+
+    names.forEach(name => {
+      const metric = metrics[name];
+      const value = name === 'CLS' ? Math.round(metric.value * 1000) / 1000 : Math.round(metric.value);
+
+      tracking.track('web_vitals', Object.assign({
+        metric_name: name,
+        metric_value: value,
+        metric_rating: rate(name, metric.value)
+      }, metric.attribution));
+    });
+
+    tracking.flush();
+  }
+
+  /**
+   * Initialize collection
+   */
+  function initWebVitals() {
+    if (typeof PerformanceObserver === 'undefined') return;
+
+    observeLcp();
+    observeCls();
+    observeInp();
+    observeFcp();
+    measureTtfb();
+    observeHeroVideo();
+
+    // Report when the page is hidden or unloaded (whichever comes first)
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        report();
+      }
+    });
+    window.addEventListener('pagehide', report);
+  }
+
+  // Start as early as possible so buffered entries are not missed
+  initWebVitals();
+
+  // Export for external use
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+      describeElement,
+      rate
+    };
+  }
+
+})();